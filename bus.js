@@ -0,0 +1,91 @@
+// Broadcast buses
+// A bus decides how Socket.IO broadcasts (io.emit, io.to(room).emit, fetchSockets, ...)
+// reach sockets connected to other server processes. It is { name, adapter, shared }, where
+// `adapter` is the Socket.IO adapter class createApp() gives its Socket.IO server and
+// `shared` tells whether other processes are listening (io.serverSideEmit only works then).
+//
+// - createMemoryBus() (the default) keeps everything in this process, like a plain
+//   Socket.IO server.
+// - createClusterBus() is for workers of a Node.js cluster on one machine: every
+//   broadcast is relayed through the primary process over IPC to the other workers, so
+//   it reaches every client whichever worker they're connected to. The primary has to
+//   call relayClusterMessages() before forking the workers.
+const cluster = require('cluster');
+const { Adapter, ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Marks the IPC messages that belong to the bus
+const MESSAGE_SOURCE = 'voting-api:bus';
+
+// Broadcasts only reach this process
+const createMemoryBus = () => ({ name: 'memory', adapter: Adapter, shared: false });
+
+// Broadcasts reach every worker of the cluster. `heartbeatInterval` and `heartbeatTimeout`
+// (milliseconds) control how quickly a worker that went away stops being waited for.
+const createClusterBus = ({ heartbeatInterval = 5000, heartbeatTimeout = 10000 } = {}) => {
+  if (!cluster.isWorker) {
+    throw new Error('The cluster bus can only be used in a cluster worker');
+  }
+
+  class IpcAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, { heartbeatInterval, heartbeatTimeout });
+
+      // Messages relayed by the primary from the other workers
+      this.onIpcMessage = (message) => {
+        if (!message || message.source !== MESSAGE_SOURCE) {
+          return;
+        }
+
+        if (message.response && message.requesterUid === this.uid && message.response.nsp === this.nsp.name) {
+          this.onResponse(message.response);
+        } else if (message.message && message.message.nsp === this.nsp.name) {
+          this.onMessage(message.message);
+        }
+      };
+      process.on('message', this.onIpcMessage);
+    }
+
+    // (nothing is sent once the worker is disconnecting from the primary)
+    doPublish(message) {
+      if (process.connected) {
+        process.send({ source: MESSAGE_SOURCE, message });
+      }
+      return Promise.resolve('');
+    }
+
+    doPublishResponse(requesterUid, response) {
+      if (process.connected) {
+        process.send({ source: MESSAGE_SOURCE, requesterUid, response });
+      }
+      return Promise.resolve();
+    }
+
+    close() {
+      super.close();
+      process.off('message', this.onIpcMessage);
+    }
+  }
+
+  return { name: 'cluster', adapter: IpcAdapter, shared: true };
+};
+
+// In the primary process: pass every bus message a worker sends on to the other workers
+const relayClusterMessages = () => {
+  cluster.on('message', (sender, message) => {
+    if (!message || message.source !== MESSAGE_SOURCE) {
+      return;
+    }
+
+    Object.values(cluster.workers).forEach(worker => {
+      if (worker && worker !== sender && worker.isConnected()) {
+        worker.send(message);
+      }
+    });
+  });
+};
+
+module.exports = {
+  createMemoryBus,
+  createClusterBus,
+  relayClusterMessages
+};
@@ -0,0 +1,82 @@
+// Webhook destinations
+// Webhook URLs are chosen by users, so without a check a delivery could be aimed at the
+// server's own network: localhost, private ranges, or the cloud metadata service at
+// 169.254.169.254. resolveDestination() looks up a URL's host and refuses it unless every
+// address it resolves to is public, or the host is on the configured allowlist.
+//
+// The check has to be repeated before every delivery (DNS answers can change after a
+// webhook is saved), and the request must then connect to the addresses that were checked
+// rather than look the host up again: pinnedLookup() turns them into the `lookup` option
+// of http.request().
+const dns = require('dns');
+const net = require('net');
+
+// Addresses that aren't reachable on the public internet, or only through this host.
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including cloud metadata services
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+].forEach(([prefix, length]) => BLOCKED_ADDRESSES.addSubnet(prefix, length, 'ipv4'));
+[
+  ['::', 127], // unspecified and loopback
+  ['64:ff9b::', 96], // IPv4/IPv6 translation, which could reach the IPv4 ranges above
+  ['2001:db8::', 32], // documentation
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([prefix, length]) => BLOCKED_ADDRESSES.addSubnet(prefix, length, 'ipv6'));
+
+// Whether an IP address is publicly routable
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Resolve a webhook URL's host to the addresses a delivery may connect to:
+// [{ address, family }]. Hosts in `allowedHosts` (lowercase host names) resolve to any
+// address; any other host is rejected with an Error whose code is 'EDESTINATION' when one
+// of its addresses isn't public. DNS failures reject with the resolver's error.
+const resolveDestination = (url, { allowedHosts = [] } = {}) => {
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+
+  return dns.promises.lookup(host, { all: true, verbatim: true }).then(addresses => {
+    const blocked = allowedHosts.includes(host)
+      ? undefined
+      : addresses.find(({ address }) => !isPublicAddress(address));
+
+    if (blocked) {
+      const err = new Error(`${host} resolves to ${blocked.address}, which is not a public address`);
+      err.code = 'EDESTINATION';
+      throw err;
+    }
+    return addresses;
+  });
+};
+
+// A dns.lookup() replacement for http.request() that answers with `addresses` (as resolved
+// by resolveDestination()) whatever the host
+const pinnedLookup = (addresses) => (hostname, options, callback) => {
+  if (options && options.all) {
+    return callback(null, addresses);
+  }
+  callback(null, addresses[0].address, addresses[0].family);
+};
+
+module.exports = {
+  isPublicAddress,
+  resolveDestination,
+  pinnedLookup
+};
@@ -1,834 +1,4188 @@
 const express = require('express');
 const http = require('http');
+const https = require('https');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const cluster = require('cluster');
+const net = require('net');
+const os = require('os');
+const { createStorage, POLL_STATUS_FILTERS, POLL_SORT_KEYS, ACTIVITY_BUCKETS } = require('./storage');
+const { createMemoryBus, createClusterBus, relayClusterMessages } = require('./bus');
+const { createTallies, summarizeResults } = require('./tallies');
+const { resolveDestination, pinnedLookup } = require('./destinations');
+const {
+  optional, nullable, string, oneOf, integer, boolean, timestamp, httpUrl, array, object,
+  check, validationError, validate
+} = require('./validation');
 
 // Load environment variables
 dotenv.config();
 
-const app = express();
-const server = http.createServer(app);
-const io = socketIo(server, {
-  cors: {
-    origin: process.env.CORS_ORIGIN || '*',
-    methods: ['GET', 'POST'],
-    credentials: true
-  },
-});
-
 // JWT Secret
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
-// Set up SQLite database
-const db = new sqlite3.Database('./polls.db');
-
-// Create tables if they don't exist
-db.serialize(() => {
-  // Users table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      username TEXT UNIQUE NOT NULL,
-      email TEXT UNIQUE,
-      password TEXT NOT NULL,
-      created_at TEXT NOT NULL
-    )
-  `);
-
-  // Polls table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS polls (
-      id TEXT PRIMARY KEY,
-      question TEXT NOT NULL,
-      created_by TEXT NOT NULL,
-      created_at TEXT NOT NULL,
-      start_at TEXT,
-      active_until TEXT,
-      is_active INTEGER DEFAULT 1
-    )
-  `);
-  
-  // Options table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS options (
-      id TEXT PRIMARY KEY,
-      poll_id TEXT NOT NULL,
-      text TEXT NOT NULL,
-      FOREIGN KEY (poll_id) REFERENCES polls(id)
-    )
-  `);
-  
-  // Votes table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS votes (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      poll_id TEXT NOT NULL,
-      option_id TEXT NOT NULL,
-      username TEXT NOT NULL,
-      voted_at TEXT NOT NULL,
-      FOREIGN KEY (poll_id) REFERENCES polls(id),
-      FOREIGN KEY (option_id) REFERENCES options(id)
-    )
-  `);
-});
-
-// Middleware
-app.use(cors({
-  origin: process.env.CORS_ORIGIN || '*',
-  credentials: true
-}));
-app.use(express.json());
-
-// Modified authentication middleware to provide backward compatibility
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    // For backward compatibility, allow non-authenticated requests
-    // but set user to null to indicate no authentication
-    req.user = null;
-    return next();
-  }
+// Token lifetimes: short-lived access tokens, longer-lived (rotating) refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      // For backward compatibility, don't return error for invalid tokens
-      // just set user to null
-      req.user = null;
-      return next();
-    }
-    req.user = user;
-    next();
-  });
+// Ed25519 key that signs audit bundles and seals (AUDIT_SIGNING_KEY, a PEM private key).
+// Without it a key is generated the first time the server starts and kept in the database,
+// so signatures stay verifiable across restarts.
+const AUDIT_SIGNING_KEY = process.env.AUDIT_SIGNING_KEY
+  ? crypto.createPrivateKey(process.env.AUDIT_SIGNING_KEY.replace(/\\n/g, '\n'))
+  : null;
+
+// Authentication mode
+// - compat (default): anonymous requests may identify themselves with body fields
+// - strict: invalid tokens are rejected and identity only ever comes from the token
+const AUTH_MODE = process.env.AUTH_MODE === 'strict' ? 'strict' : 'compat';
+const STRICT_AUTH = AUTH_MODE === 'strict';
+
+// Permissions granted by each role. Everyone can manage their own polls; these
+// permissions extend that to polls created by other users.
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ['polls:moderate', 'votes:inspect'],
+  admin: ['polls:moderate', 'votes:inspect', 'users:manage']
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Usernames that are always given the admin role (comma separated)
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Rate limits: at most `max` requests per `windowMs`, counted separately per client IP and
+// per account. RATE_LIMIT_<NAME> overrides a limit's max.
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+const RATE_LIMITS = {
+  auth: { max: Number(process.env.RATE_LIMIT_AUTH) || 10, windowMs: RATE_LIMIT_WINDOW_MS },
+  register: { max: Number(process.env.RATE_LIMIT_REGISTER) || 5, windowMs: 60 * 60 * 1000 },
+  create: { max: Number(process.env.RATE_LIMIT_CREATE) || 20, windowMs: RATE_LIMIT_WINDOW_MS },
+  vote: { max: Number(process.env.RATE_LIMIT_VOTE) || 60, windowMs: RATE_LIMIT_WINDOW_MS }
 };
 
-// Routes
+// This many failed logins in a row locks an account for LOGIN_LOCKOUT_MINUTES
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
 
-// Health check route
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Server is running', timestamp: new Date().toISOString() });
-});
+// Webhook deliveries are attempted up to WEBHOOK_MAX_ATTEMPTS times, waiting
+// WEBHOOK_RETRY_BASE_MS before the first retry and doubling the wait after each one
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
 
-// Register a new user
-app.post('/api/users/register', async (req, res) => {
-  const { username, email, password } = req.body;
+// Webhooks can only be sent to public addresses, except to the hosts in the optional
+// comma-separated WEBHOOK_ALLOWED_HOSTS (e.g. a receiver on the private network)
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Live results are broadcast at most once per RESULTS_BROADCAST_INTERVAL_MS for each poll,
+// carrying every change since the previous broadcast
+const RESULTS_BROADCAST_INTERVAL_MS = Number(process.env.RESULTS_BROADCAST_INTERVAL_MS) || 1000;
+
+// Number of worker processes in cluster mode (a number, or "auto" for one per CPU core);
+// unset or 1 runs a single process
+const CLUSTER_WORKERS = process.env.CLUSTER_WORKERS;
+
+// New passwords need at least PASSWORD_MIN_LENGTH characters
+const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+
+// Length and count limits for request fields
+const LIMITS = {
+  username: 32,
+  password: 128,
+  email: 254,
+  question: 500,
+  optionText: 200,
+  options: 50,
+  invites: 500,
+  token: 512,
+  id: 200,
+  templateName: 100
+};
+
+// Longest default duration of a poll template or copied poll: one year
+const MAX_POLL_DURATION_MINUTES = 366 * 24 * 60;
+
+// Usernames chosen at registration: 3 to 32 letters, digits, dots, dashes or underscores
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,32}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Error codes for the HTTP statuses of error responses (handlers may send a more specific one)
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'rate_limited',
+  500: 'internal_error'
+};
+
+// Build the app around a storage layer (see storage.js; by default the SQLite database
+// named by DB_PATH). Nothing listens until start() is called, so tests can create
+// isolated instances, e.g. createApp({ storage: createStorage({ memory: true }) }).
+// `bus` carries Socket.IO broadcasts to other server processes (see bus.js). Only an
+// instance with `scheduler` set keeps the poll lifecycle timers and resumes webhook
+// retries; the others forward schedule changes to it over the bus.
+const createApp = ({ storage = createStorage(), bus = createMemoryBus(), scheduler = true } = {}) => {
+  const app = express();
+  const server = http.createServer(app);
+  const io = socketIo(server, {
+    cors: {
+      origin: process.env.CORS_ORIGIN || '*',
+      methods: ['GET', 'POST'],
+      credentials: true
+    },
+    adapter: bus.adapter
+  });
   
-  // Validate request
-  if (!username || !password) {
-    return res.status(400).json({ error: 'Username and password are required' });
+
+  // Middleware
+  if (process.env.TRUST_PROXY) {
+    // Behind a reverse proxy, take the client IP from X-Forwarded-For (a hop count or proxy addresses)
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
   }
+  app.use(cors({
+    origin: process.env.CORS_ORIGIN || '*',
+    credentials: true,
+    exposedHeaders: ['X-Next-Cursor']
+  }));
   
-  try {
-    // Check if user already exists
-    db.get('SELECT * FROM users WHERE username = ?', [username], async (err, user) => {
-      if (err) {
-        console.error("Database error:", err);
-        return res.status(500).json({ error: 'Database error' });
+  // Every error response has the same shape:
+  //   { error: { code, message, fields?: [{ field, message, in? }], ...details } }
+  // Handlers send { error: message, code?, ...details } and it is rewritten here.
+  app.use((req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 400 || !body || typeof body.error !== 'string') {
+        return json(body);
       }
       
-      if (user) {
-        return res.status(400).json({ error: 'Username already exists' });
+      const { error, code, ...details } = body;
+      return json({ error: { code: code || ERROR_CODES[res.statusCode] || 'error', message: error, ...details } });
+    };
+    next();
+  });
+  app.use(express.json());
+
+  // In-process rate limit store: fixed-window hit counters per limit and client key
+  const rateLimitHits = new Map();
+
+  // Count a hit against a limit for each key (client IP, account, ...). Returns the number
+  // of seconds until the client may retry when any key is over the limit, otherwise 0.
+  const consumeRateLimit = (name, keys) => {
+    const { max, windowMs } = RATE_LIMITS[name];
+    const now = Date.now();
+    let retryAfter = 0;
+    
+    keys.filter(Boolean).forEach(key => {
+      const id = `${name}:${key}`;
+      let entry = rateLimitHits.get(id);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        rateLimitHits.set(id, entry);
       }
       
-      // Hash password
-      const salt = await bcrypt.genSalt(10);
-      const hashedPassword = await bcrypt.hash(password, salt);
-      const createdAt = new Date().toISOString();
+      entry.count++;
+      if (entry.count > max) {
+        retryAfter = Math.max(retryAfter, Math.ceil((entry.resetAt - now) / 1000));
+      }
+    });
+    
+    return retryAfter;
+  };
+
+  // Middleware: rate limit a route per client IP and per account. accountOf picks the
+  // account a request counts against (by default the logged-in user).
+  const rateLimit = (name, accountOf = (req) => req.user && req.user.username) => (req, res, next) => {
+    const account = accountOf(req);
+    const retryAfter = consumeRateLimit(name, [`ip:${req.ip}`, account && `user:${account}`]);
+    
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many requests, please try again later' });
+    }
+    next();
+  };
+
+  // Consecutive failed logins per username: { failures, lastFailureAt, lockedUntil }
+  const loginFailures = new Map();
+
+  // Seconds left on a username's login lockout, or 0 when it isn't locked
+  const getLoginLockout = (username) => {
+    const entry = loginFailures.get(username);
+    const now = Date.now();
+    return entry && entry.lockedUntil > now ? Math.ceil((entry.lockedUntil - now) / 1000) : 0;
+  };
+
+  // Count a failed login, locking the username once it reaches LOGIN_MAX_FAILURES
+  const recordLoginFailure = (username) => {
+    const entry = loginFailures.get(username) || { failures: 0, lockedUntil: 0 };
+    entry.failures++;
+    entry.lastFailureAt = Date.now();
+    
+    if (entry.failures >= LOGIN_MAX_FAILURES) {
+      entry.failures = 0;
+      entry.lockedUntil = entry.lastFailureAt + LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+    }
+    loginFailures.set(username, entry);
+  };
+
+  // Drop expired rate limit counters and stale login failures now and then
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    rateLimitHits.forEach((entry, id) => {
+      if (entry.resetAt <= now) {
+        rateLimitHits.delete(id);
+      }
+    });
+    loginFailures.forEach((entry, username) => {
+      if (entry.lockedUntil <= now && entry.lastFailureAt + LOGIN_LOCKOUT_MINUTES * 60 * 1000 <= now) {
+        loginFailures.delete(username);
+      }
+    });
+  }, RATE_LIMIT_WINDOW_MS).unref();
+
+  // Duplicate-vote heuristics a poll can apply to anonymous voters: none, one vote per
+  // IP address, or one vote per device (identified by a long-lived cookie)
+  const DUPLICATE_VOTE_CHECKS = ['none', 'ip', 'device'];
+  const DEVICE_COOKIE = 'voterDevice';
+
+  // Read a cookie from the request
+  const getCookie = (req, name) => {
+    const cookie = (req.get('Cookie') || '')
+      .split(';')
+      .map(part => part.trim().split('='))
+      .find(([key]) => key === name);
+    return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+  };
+
+  // The voter's device ID cookie, issuing a new one when it's missing
+  const getDeviceId = (req, res) => {
+    const deviceId = getCookie(req, DEVICE_COOKIE);
+    if (deviceId && /^[a-f0-9]{32}$/.test(deviceId)) {
+      return deviceId;
+    }
+    
+    const newDeviceId = crypto.randomBytes(16).toString('hex');
+    res.cookie(DEVICE_COOKIE, newDeviceId, { httpOnly: true, sameSite: 'lax', maxAge: 365 * 24 * 60 * 60 * 1000 });
+    return newDeviceId;
+  };
+
+  // The keyed hash that identifies an anonymous voter's IP address or device for a poll's
+  // duplicate-vote check, or null when it doesn't apply (no check, or a logged-in voter)
+  const getVoterFingerprint = (poll, user, client) => {
+    if (user || !client) {
+      return null;
+    }
+    
+    const value = { ip: client.ip, device: client.deviceId }[poll.duplicate_check];
+    if (!value) {
+      return null;
+    }
+    return crypto.createHmac('sha256', JWT_SECRET).update(`${poll.duplicate_check}:${value}`).digest('hex');
+  };
+
+  // Hash a refresh token for storage and lookup
+  const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+  // Issue an access token plus a new refresh token for a session
+  const issueTokens = (user, sessionId, callback) => {
+    const refreshToken = crypto.randomBytes(40).toString('hex');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    
+    storage.refreshTokens.create({
+      sessionId,
+      tokenHash: hashToken(refreshToken),
+      createdAt: now.toISOString(),
+      expiresAt: expiresAt.toISOString()
+    }).then(
+      () => {
+        const token = jwt.sign(
+          { id: user.id, username: user.username, role: user.role || 'user', sid: sessionId },
+          JWT_SECRET,
+          { expiresIn: ACCESS_TOKEN_TTL }
+        );
+        callback(null, { token, refreshToken });
+      },
+      callback
+    );
+  };
+
+  // Start a new login session for a user and issue its first tokens
+  const createSession = (user, callback) => {
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    
+    storage.sessions.create(sessionId, user.id, new Date().toISOString()).then(
+      () => issueTokens(user, sessionId, callback),
+      callback
+    );
+  };
+
+  // Revoke one session, or every session of a user when userId is given instead, and
+  // disconnect the sockets that authenticated with them
+  const revokeSessions = ({ sessionId, userId }, callback) => {
+    const now = new Date().toISOString();
+    const revoked = sessionId ? storage.sessions.revoke(sessionId, now) : storage.sessions.revokeAll(userId, now);
+    
+    revoked.then(() => {
+      if (sessionId) {
+        io.in(`session:${sessionId}`).disconnectSockets(true);
+        return callback(null);
+      }
       
-      // Insert new user
-      db.run(
-        'INSERT INTO users (username, email, password, created_at) VALUES (?, ?, ?, ?)',
-        [username, email || null, hashedPassword, createdAt],
-        function(err) {
-          if (err) {
-            console.error("Error creating user:", err);
-            return res.status(500).json({ error: 'Failed to create user' });
-          }
-          
-          // Generate JWT token
-          const token = jwt.sign({ id: this.lastID, username }, JWT_SECRET, { expiresIn: '7d' });
-          
-          res.status(201).json({
-            message: 'User registered successfully',
-            token,
-            username
-          });
+      return storage.users.findById(userId).then(user => {
+        if (user) {
+          io.in(`user:${user.username}`).disconnectSockets(true);
         }
-      );
-    });
-  } catch (error) {
-    console.error("Registration error:", error);
-    res.status(500).json({ error: 'Registration failed' });
-  }
-});
+        callback(null);
+      });
+    }).catch(callback);
+  };
 
-// Login user
-app.post('/api/users/login', async (req, res) => {
-  const { username, password } = req.body;
-  
-  // Validate request
-  if (!username || !password) {
-    return res.status(400).json({ error: 'Username and password are required' });
-  }
-  
-  try {
-    // Find user
-    db.get('SELECT * FROM users WHERE username = ?', [username], async (err, user) => {
+  // Verify an access token's signature and expiry, and that its session hasn't been revoked
+  // and its user isn't disabled
+  const verifyAccessToken = (token, callback) => {
+    jwt.verify(token, JWT_SECRET, (err, user) => {
       if (err) {
-        console.error("Database error:", err);
-        return res.status(500).json({ error: 'Database error' });
+        return callback(err);
       }
       
-      if (!user) {
-        return res.status(401).json({ error: 'Invalid credentials' });
+      if (!user.sid) {
+        return callback(new Error('Token has no session'));
       }
       
-      // Compare passwords
-      const isMatch = await bcrypt.compare(password, user.password);
-      
-      if (!isMatch) {
-        return res.status(401).json({ error: 'Invalid credentials' });
+      storage.sessions.findById(user.sid).then(
+        (session) => {
+          if (!session || session.revoked_at || session.disabled) {
+            return callback(new Error('Token has been revoked'));
+          }
+          callback(null, user);
+        },
+        callback
+      );
+    });
+  };
+
+  // Modified authentication middleware to provide backward compatibility
+  // (in strict mode an invalid, expired or revoked token is rejected instead of ignored)
+  const authenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      // For backward compatibility, allow non-authenticated requests
+      // but set user to null to indicate no authentication
+      req.user = null;
+      return next();
+    }
+
+    verifyAccessToken(token, (err, user) => {
+      if (err) {
+        if (STRICT_AUTH) {
+          return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+        
+        // For backward compatibility, don't return error for invalid tokens
+        // just set user to null
+        req.user = null;
+        return next();
       }
+      req.user = user;
+      next();
+    });
+  };
+
+  // Resolve the username acting on a request from the token, or in compat mode from the
+  // given request body field. Sends an error response and returns null when there is none.
+  const resolveUsername = (req, res, field) => {
+    const bodyValue = req.body ? req.body[field] : undefined;
+    
+    if (STRICT_AUTH && bodyValue !== undefined) {
+      res.status(400).json({ error: `${field} cannot be supplied in the request body` });
+      return null;
+    }
+    
+    if (req.user) {
+      // If authenticated, use the username from the token
+      return req.user.username;
+    }
+    
+    if (STRICT_AUTH) {
+      res.status(401).json({ error: 'Authentication required' });
+      return null;
+    }
+    
+    // For backward compatibility, get from request body
+    if (!bodyValue) {
+      res.status(400).json({ error: `${field} is required when not authenticated` });
+      return null;
+    }
+    return bodyValue;
+  };
+
+  // Supported poll types
+  // - single: exactly one option per voter
+  // - multiple: pick between minSelections and maxSelections options (approval voting when unbounded)
+  // - ranked: order between minSelections and maxSelections options for an instant-runoff count
+  const POLL_TYPES = ['single', 'multiple', 'ranked'];
+
+  // Who can find a poll:
+  // - public: listed by GET /api/polls and readable by anyone
+  // - unlisted: not listed, but readable by anyone with its ID or a share link
+  // - private: only its creator, invited users, moderators and holders of its share token
+  const POLL_VISIBILITIES = ['public', 'unlisted', 'private'];
+
+  // Who can see a poll's vote counts:
+  // - always: everyone who can see the poll
+  // - afterVote: users who voted in it, and everyone once it's closed
+  // - afterClose: everyone once it's closed (ended or paused)
+  // - creatorOnly: only the creator
+  // The creator, moderators and admins can always see them.
+  const RESULTS_VISIBILITIES = ['always', 'afterVote', 'afterClose', 'creatorOnly'];
+
+  // Get results for a poll in the shape matching its type.
+  // Single-choice polls resolve to the plain per-option array; multiple-choice polls resolve
+  // to an object with per-option counts and percentages of distinct voters; ranked polls
+  // resolve to an object with first-preference results plus the instant-runoff rounds and winner.
+  const getPollResults = (poll, callback) => {
+    Promise.all([
+      storage.options.tallies(poll.id),
+      poll.type === 'multiple' ? storage.votes.countBallots(poll.id) : 0,
+      poll.type === 'ranked' ? storage.votes.listBallotChoices(poll.id) : []
+    ]).then(([results, totalVoters, rows]) => {
+      // Group the rows back into one ordered ballot per voter
+      const ballots = {};
+      rows.forEach(row => {
+        (ballots[row.ballot_id] = ballots[row.ballot_id] || []).push(row.option_id);
+      });
       
-      // Generate JWT token
-      const token = jwt.sign({ id: user.id, username: user.username }, JWT_SECRET, { expiresIn: '7d' });
+      return summarizeResults(poll.type, results, totalVoters, Object.values(ballots));
+    }).then(results => callback(null, results), callback);
+  };
+
+  // Get a poll's vote activity over time, in buckets of a minute, hour or day (see
+  // ACTIVITY_BUCKETS): the ballots cast in each bucket and so far, the same per option with
+  // the option's share of the ballots so far (first preferences for ranked polls), and the
+  // busiest bucket. Ballots count at the time they were cast or last changed, so retracted
+  // votes are left out. Secret-ballot polls only have the ballot counts.
+  const getPollAnalytics = (poll, bucket, callback) => {
+    Promise.all([
+      storage.options.tallies(poll.id),
+      storage.votes.ballotActivity(poll, bucket),
+      storage.votes.optionActivity(poll, bucket)
+    ]).then(([options, ballotRows, optionRows]) => {
+      const perOption = poll.secret_ballot !== 1;
+      const optionVotes = {};
+      optionRows.forEach(row => {
+        (optionVotes[row.bucket] = optionVotes[row.bucket] || {})[row.option_id] = row.votes;
+      });
+
+      let totalBallots = 0;
+      const totals = {};
+      const series = ballotRows.map(row => {
+        totalBallots += row.ballots;
+        const point = { start: row.bucket, ballots: row.ballots, cumulativeBallots: totalBallots };
+
+        if (perOption) {
+          const votes = optionVotes[row.bucket] || {};
+          point.options = options.map(opt => {
+            totals[opt.id] = (totals[opt.id] || 0) + (votes[opt.id] || 0);
+            return {
+              id: opt.id,
+              votes: votes[opt.id] || 0,
+              cumulativeVotes: totals[opt.id],
+              percentage: Math.round((totals[opt.id] / totalBallots) * 1000) / 10
+            };
+          });
+        }
+        return point;
+      });
+
+      const peak = series.reduce((best, point) => (!best || point.ballots > best.ballots ? point : best), null);
+
+      return {
+        pollId: poll.id,
+        bucket,
+        perOption,
+        options: options.map(opt => ({ id: opt.id, text: opt.text })),
+        totalBallots,
+        peak: peak && { start: peak.start, ballots: peak.ballots },
+        series
+      };
+    }).then(analytics => callback(null, analytics), callback);
+  };
+
+  // Get the full API representation of several poll rows. Options and their vote counts
+  // are fetched for all of the polls in a single aggregated query.
+  const getPollsDetails = (polls, callback) => {
+    if (polls.length === 0) {
+      return callback(null, []);
+    }
+    
+    storage.options.talliesForPolls(polls.map(poll => poll.id)).then(
+      (rows) => {
+        const optionsByPoll = {};
+        rows.forEach(row => {
+          (optionsByPoll[row.poll_id] = optionsByPoll[row.poll_id] || []).push(row);
+        });
+        
+        // Check poll timing
+        const now = new Date().toISOString();
+        
+        callback(null, polls.map(poll => {
+          const options = optionsByPoll[poll.id] || [];
+          
+          return {
+            id: poll.id,
+            question: poll.question,
+            type: poll.type,
+            minSelections: poll.min_selections,
+            maxSelections: poll.max_selections,
+            allowVoteChange: poll.allow_vote_change === 1,
+            requireAuth: poll.require_auth === 1,
+            visibility: poll.visibility,
+            secretBallot: poll.secret_ballot === 1,
+            resultsVisibility: poll.results_visibility,
+            duplicateCheck: poll.duplicate_check,
+            options: options.map(opt => ({ id: opt.id, text: opt.text })),
+            results: options.map(opt => ({ id: opt.id, text: opt.text, votes: opt.votes })),
+            createdBy: poll.created_by,
+            createdAt: poll.created_at,
+            startAt: poll.start_at,
+            activeUntil: poll.active_until,
+            isActive: poll.is_active === 1,
+            isStarted: !poll.start_at || poll.start_at <= now,
+            hasEnded: poll.active_until && poll.active_until < now
+          };
+        }));
+      },
+      callback
+    );
+  };
+
+  // Get the full API representation of a poll row, with its options and vote counts
+  const getPollDetails = (poll, callback) => {
+    getPollsDetails([poll], (err, details) => {
+      if (err) {
+        return callback(err);
+      }
+      callback(null, details[0]);
+    });
+  };
+
+  // Format rows as CSV with a header line, quoting values that need it. Text starting with
+  // =, +, -, @ (or a tab or carriage return) gets a leading ' so that spreadsheets don't
+  // run poll questions, options or usernames as formulas.
+  const toCsv = (rows, columns) => {
+    const escape = (value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(column => escape(row[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+  };
+
+  // Parse a CSV document into objects keyed by its header row (double quotes escape
+  // commas, line breaks and "" inside a field). Blank lines are skipped.
+  const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
       
-      res.json({
-        message: 'Login successful',
-        token,
-        username: user.username
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    
+    const [header = [], ...data] = rows.filter(values => values.some(value => value.trim() !== ''));
+    const keys = header.map(key => key.trim());
+    return data.map(values => {
+      const record = {};
+      keys.forEach((key, index) => {
+        record[key] = values[index];
       });
+      return record;
     });
-  } catch (error) {
-    console.error("Login error:", error);
-    res.status(500).json({ error: 'Login failed' });
-  }
-});
+  };
+
+  // Format rows as JSON Lines (one JSON object per line)
+  const toJsonLines = (rows) => rows.map(row => JSON.stringify(row)).join('\n') + '\n';
+
+  // Send rows as a downloadable CSV or JSON Lines file
+  const sendExport = (res, rows, columns, format, filename) => {
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(toCsv(rows, columns));
+    }
+    
+    res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.jsonl"`);
+    res.send(toJsonLines(rows));
+  };
 
-// Get user profile
-app.get('/api/users/profile', authenticateToken, (req, res) => {
-  const { id } = req.user;
+  // Supported export formats
+  const EXPORT_FORMATS = ['csv', 'jsonl'];
+
+  // Get the individual vote records of a poll in the order they were cast.
+  // When anonymize is set, voter names are replaced with stable pseudonyms (voter-1, voter-2, ...).
+  // Secret-ballot polls only have anonymous ballots: their records carry the random ballot
+  // ID in place of the username, no vote time, and come in ballot ID order.
+  const getVoteRecords = (poll, anonymize, callback) => {
+    storage.votes.listRecords(poll).then(
+      (rows) => callback(null, anonymize ? anonymizeVoteRecords(rows) : rows),
+      callback
+    );
+  };
   
-  db.get('SELECT id, username, email, created_at FROM users WHERE id = ?', [id], (err, user) => {
-    if (err) {
-      console.error("Database error:", err);
-      return res.status(500).json({ error: 'Database error' });
+  // Copies of vote records with each voter's name replaced by a pseudonym (voter-1,
+  // voter-2, ... in order of first appearance)
+  const anonymizeVoteRecords = (rows) => {
+    const pseudonyms = {};
+    return rows.map(row => {
+      if (!pseudonyms[row.username]) {
+        pseudonyms[row.username] = `voter-${Object.keys(pseudonyms).length + 1}`;
+      }
+      return { ...row, username: pseudonyms[row.username] };
+    });
+  };
+
+  // The audit signing key as { privateKey, publicKey (PEM) }, loaded by start()
+  let auditKeys = null;
+  
+  // Use AUDIT_SIGNING_KEY, or else the key stored in the database, generating and storing
+  // one the first time. Resolves with { privateKey, publicKey }.
+  const loadAuditKeys = () => {
+    const withPublicKey = (privateKey) => ({
+      privateKey,
+      publicKey: crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' })
+    });
+    
+    if (AUDIT_SIGNING_KEY) {
+      return Promise.resolve(withPublicKey(AUDIT_SIGNING_KEY));
     }
     
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    return storage.serverKeys.find('audit')
+      .then(stored => stored || storage.serverKeys.create(
+        'audit',
+        crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        new Date().toISOString()
+      ).then(() => storage.serverKeys.find('audit')))
+      .then(stored => withPublicKey(crypto.createPrivateKey(stored.private_key)));
+  };
+  
+  // A vote record as it is entered in the audit hash chain
+  const hashChainEntry = (row) => ({
+    optionId: row.option_id,
+    username: row.username,
+    rank: row.rank,
+    votedAt: row.voted_at
+  });
+  
+  // Link vote records into a SHA-256 hash chain. Each record's hash covers the previous
+  // hash plus the record's JSON, so changing, removing or reordering any vote changes
+  // every later hash and the chain head.
+  const buildHashChain = (pollId, records) => {
+    const genesis = crypto.createHash('sha256').update(`poll:${pollId}`).digest('hex');
+    let previous = genesis;
+    
+    const chained = records.map((record, index) => {
+      const entry = { sequence: index + 1, ...record };
+      const hash = crypto.createHash('sha256').update(previous + JSON.stringify(entry)).digest('hex');
+      previous = hash;
+      return { ...entry, hash };
+    });
+    
+    return { genesis, head: previous, records: chained };
+  };
+
+  // Page sizes for GET /api/polls
+  const DEFAULT_PAGE_SIZE = 20;
+  const MAX_PAGE_SIZE = 100;
+
+  // Get a poll row's lifecycle status: upcoming, active, ended or paused
+  // (matching the GET /api/polls status filters)
+  const getPollStatus = (poll, now) => {
+    if (poll.active_until && poll.active_until < now) {
+      return 'ended';
+    }
+    if (poll.is_active !== 1) {
+      return 'paused';
+    }
+    if (poll.start_at && poll.start_at > now) {
+      return 'upcoming';
     }
+    return 'active';
+  };
+
+  // Pagination cursors are opaque URL-safe strings wrapping the sort they were made for and
+  // the last row's sort key and ID: { sort, key, id }
+  const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+  // Decode a cursor for a page sorted by `sort` (a key of POLL_SORT_KEYS). Returns null
+  // when it is malformed or was made for another sort.
+  const decodeCursor = (cursor, sort) => {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+    
+    // Vote counts sort as numbers, the other keys as timestamps
+    const validKey = sort === 'votes'
+      ? (key) => Number.isInteger(key) && key >= 0
+      : (key) => typeof key === 'string' && !Number.isNaN(Date.parse(key));
     
-    res.json(user);
+    const valid = !!position && typeof position === 'object' && !Array.isArray(position) &&
+      position.sort === sort && typeof position.id === 'string' && validKey(position.key);
+    return valid ? position : null;
+  };
+
+  // Build the resultsUpdated payload for a poll room
+  const resultsPayload = (pollId, results) => (
+    Array.isArray(results) ? { pollId, results } : { pollId, ...results }
+  );
+
+  // Find a poll that is currently accepting votes
+  const findOpenPoll = (pollId, access, callback) => {
+    storage.polls.findOpen(pollId, new Date().toISOString()).then(
+      (poll) => {
+        if (!poll) {
+          return callback(null, poll);
+        }
+        
+        // Polls the voter can't see are reported as missing
+        checkPollAccess(poll, access.user, access.shareToken, (err, allowed) => {
+          callback(err, allowed ? poll : undefined);
+        });
+      },
+      callback
+    );
+  };
+
+  // Validate the options chosen in a vote request against the poll type and selection limits.
+  // Returns { ballot } with the chosen option IDs (in preference order), or { error }.
+  const parseBallot = (poll, body) => {
+    const { optionId, optionIds } = body;
+
+    // Multiple and ranked polls take a list of option IDs (ordered by preference when
+    // ranked), single-choice polls take one
+    if (poll.type === 'single') {
+      if (!optionId) {
+        return { error: 'Option ID is required' };
+      }
+      return { ballot: [optionId] };
+    }
+
+    if (!Array.isArray(optionIds) || optionIds.length === 0) {
+      return { error: 'optionIds must be a non-empty array of option IDs' };
+    }
+    if (new Set(optionIds).size !== optionIds.length) {
+      return { error: 'Each option can only be chosen once' };
+    }
+    if (optionIds.length < poll.min_selections || optionIds.length > poll.max_selections) {
+      return { error: `Choose between ${poll.min_selections} and ${poll.max_selections} options` };
+    }
+    return { ballot: optionIds };
+  };
+
+  // Check that every option in a ballot belongs to the poll
+  const checkBallotOptions = (pollId, ballot, callback) => {
+    storage.options.listIds(pollId).then(
+      (ids) => {
+        const validIds = new Set(ids);
+        callback(null, ballot.every(id => validIds.has(id)));
+      },
+      callback
+    );
+  };
+
+  // Send an event to the other instances sharing the bus (see bus.js)
+  const relay = (event, ...args) => {
+    if (bus.shared) {
+      io.serverSideEmit(event, ...args);
+    }
+  };
+
+  // Live results (see tallies.js). Every instance keeps its own tallies: ballot changes
+  // are relayed to the other instances over the bus, and each instance sends the coalesced
+  // resultsDelta broadcasts to the sockets connected to it.
+  const tallies = createTallies({
+    storage,
+    interval: RESULTS_BROADCAST_INTERVAL_MS,
+    onFlush: (pollId, delta) => publishResults(pollId, delta)
   });
-});
 
-// Get all polls
-app.get('/api/polls', (req, res) => {
-  const now = new Date().toISOString();
-  
-  db.all(
-    `SELECT * FROM polls WHERE 
-     (start_at IS NULL OR start_at <= ?) AND
-     (active_until IS NULL OR active_until >= ?) AND
-     is_active = 1`,
-    [now, now],
-    (err, polls) => {
-      if (err) {
-        console.error("Error fetching polls:", err);
-        return res.status(500).json({ error: 'Database error' });
+  // Send a poll's coalesced result changes to this instance's poll room (to the sockets
+  // allowed to see them), both as a resultsDelta and as the full resultsUpdated that
+  // clients which don't track deltas listen for, and its full results to webhooks. Only
+  // the scheduler instance calls the webhooks, so each broadcast is delivered once.
+  const publishResults = (pollId, delta) => {
+    storage.polls.findById(pollId).then(poll => {
+      if (!poll) {
+        return;
       }
-      
-      // Format polls to match the API format
-      const promises = polls.map(poll => {
-        return new Promise((resolve, reject) => {
-          // Get options for this poll
-          db.all(`SELECT * FROM options WHERE poll_id = ?`, [poll.id], (err, options) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-            
-            // Get vote counts for each option
-            const optionPromises = options.map(option => {
-              return new Promise((resolve, reject) => {
-                db.get(`SELECT COUNT(*) as votes FROM votes WHERE option_id = ?`, [option.id], (err, result) => {
-                  if (err) {
-                    reject(err);
-                    return;
-                  }
-                  
-                  resolve({
-                    id: option.id,
-                    text: option.text,
-                    votes: result.votes
-                  });
-                });
-              });
-            });
-            
-            Promise.all(optionPromises)
-              .then(results => {
-                resolve({
-                  id: poll.id,
-                  question: poll.question,
-                  options: options.map(opt => ({ id: opt.id, text: opt.text })),
-                  results: results,
-                  createdBy: poll.created_by,
-                  createdAt: poll.created_at,
-                  startAt: poll.start_at,
-                  activeUntil: poll.active_until,
-                  isActive: poll.is_active === 1
-                });
-              })
-              .catch(reject);
-          });
-        });
+
+      emitToPollRoom(poll, 'resultsDelta', null, delta, { local: true });
+      publishAnalytics(poll);
+      return tallies.snapshot(poll).then(({ seq, results }) => {
+        const payload = { ...resultsPayload(poll.id, results), seq };
+        emitToPollRoom(poll, 'resultsUpdated', null, payload, { local: true });
+        if (scheduler) {
+          dispatchWebhooks(poll, 'resultsUpdated', payload);
+        }
       });
-      
-      Promise.all(promises)
-        .then(formattedPolls => {
-          res.json(formattedPolls);
-        })
-        .catch(err => {
-          console.error("Error processing polls:", err);
-          res.status(500).json({ error: 'Database error' });
+    }).catch(err => {
+      console.error("Error publishing results:", err);
+    });
+  };
+
+  // Socket room of the sockets following a poll's analytics in buckets of `bucket`
+  const analyticsRoom = (pollId, bucket) => `analytics:${pollId}:${bucket}`;
+
+  // Send fresh analytics to this instance's sockets following a poll's (see the
+  // watchAnalytics socket event)
+  const publishAnalytics = (poll) => {
+    Object.keys(ACTIVITY_BUCKETS)
+      .filter(bucket => io.sockets.adapter.rooms.has(analyticsRoom(poll.id, bucket)))
+      .forEach(bucket => {
+        getPollAnalytics(poll, bucket, (err, analytics) => {
+          if (err) {
+            return console.error("Error getting analytics:", err);
+          }
+          io.local.to(analyticsRoom(poll.id, bucket)).emit('analyticsUpdated', analytics);
         });
-    }
-  );
-});
+      });
+  };
+
+  // Count a stored ballot change in the live tallies (here and in the other instances) and
+  // call back with the poll's current results payload
+  const recordBallot = (poll, username, ballot, previousBallot, callback) => {
+    // Secret ballots can't be changed, so they don't need to be told apart
+    const change = { key: poll.secret_ballot === 1 ? null : username, ballot, previousBallot };
+    relay('ballotChanged', { id: poll.id, type: poll.type }, change);
+
+    tallies.record(poll, change)
+      .then(() => tallies.current(poll))
+      .then(results => callback(null, resultsPayload(poll.id, results)), callback);
+  };
+
+  // Reload a poll's live tally after its options changed (here and in the other instances)
+  const reloadTally = (poll) => {
+    relay('tallyChanged', { id: poll.id, type: poll.type });
+    tallies.load(poll).catch(err => {
+      console.error("Error reloading tally:", err);
+    });
+  };
+
+  // Changes made by the other instances
+  io.on('ballotChanged', (poll, change) => {
+    tallies.record(poll, change).catch(err => {
+      console.error("Error updating tally:", err);
+    });
+  });
+
+  io.on('tallyChanged', (poll) => {
+    tallies.load(poll).catch(err => {
+      console.error("Error reloading tally:", err);
+    });
+  });
+
+  io.on('tallyRemoved', (pollId) => tallies.remove(pollId));
+
+  // Whether a poll has closed: its end time has passed or it was paused
+  const isPollClosed = (poll) => (
+    poll.is_active !== 1 || (!!poll.active_until && poll.active_until <= new Date().toISOString())
+  );
+
+  // Whether a user (null when anonymous) may see a poll's vote counts right now under its
+  // results visibility; hasVoted says whether they have voted in it
+  const resultsVisibleTo = (poll, user, hasVoted) => {
+    const policy = poll.results_visibility;
+    
+    if (policy === 'always') {
+      return true;
+    }
+    
+    if (user && (user.username === poll.created_by || hasPermission(user, 'votes:inspect'))) {
+      return true;
+    }
+    
+    if (policy === 'creatorOnly') {
+      return false;
+    }
+    return isPollClosed(poll) || (policy === 'afterVote' && hasVoted);
+  };
+
+  // resultsVisibleTo, looking up whether the user voted when the answer depends on it
+  const checkResultsAccess = (poll, user, callback) => {
+    if (!user || poll.results_visibility !== 'afterVote' || resultsVisibleTo(poll, user, false)) {
+      return callback(null, resultsVisibleTo(poll, user, false));
+    }
+    
+    storage.votes.hasVoted(poll.id, user.username).then(
+      (voted) => callback(null, resultsVisibleTo(poll, user, voted)),
+      (err) => callback(err, false)
+    );
+  };
+
+  // Strip the vote counts from a poll's API representation
+  const hideResults = (details) => ({ ...details, results: null, resultsHidden: true });
+
+  // Hide the vote counts in poll details (from getPollsDetails for the same poll rows)
+  // that the user may not see
+  const applyResultsPolicy = (polls, details, user, callback) => {
+    const finish = (votedPollIds) => {
+      callback(null, details.map((detail, index) => (
+        resultsVisibleTo(polls[index], user, votedPollIds.has(polls[index].id)) ? detail : hideResults(detail)
+      )));
+    };
+    
+    // Only afterVote polls need to know whether the user voted
+    const undecided = polls.filter(poll => (
+      user && poll.results_visibility === 'afterVote' && !resultsVisibleTo(poll, user, false)
+    ));
+    if (undecided.length === 0) {
+      return finish(new Set());
+    }
+    
+    storage.votes.votedPollIds(user.username, undecided.map(poll => poll.id)).then(
+      (pollIds) => finish(new Set(pollIds)),
+      callback
+    );
+  };
+
+  // Send an event to a poll room. Sockets whose user may see the poll's results receive
+  // `payload` with `results` merged in; the others receive `payload` alone, or nothing
+  // when it is null. Whether the room's users voted (for afterVote polls) is looked up in
+  // one query per event.
+  // With `local` only the sockets connected to this instance are reached.
+  const emitToPollRoom = (poll, event, payload, results, { local = false } = {}) => {
+    const sockets = local ? io.local : io;
+    if (resultsVisibleTo(poll, null, false)) {
+      return sockets.to(poll.id).emit(event, { ...payload, ...results });
+    }
+    
+    sockets.in(poll.id).fetchSockets()
+      .then(sockets => {
+        const undecided = poll.results_visibility === 'afterVote'
+          ? [...new Set(sockets
+            .map(socket => socket.data.user)
+            .filter(user => user && !resultsVisibleTo(poll, user, false))
+            .map(user => user.username))]
+          : [];
+        
+        return storage.votes.votersAmong(poll.id, undecided).then(voters => {
+          const voted = new Set(voters);
+          sockets.forEach(socket => {
+            const { user } = socket.data;
+            if (resultsVisibleTo(poll, user, !!user && voted.has(user.username))) {
+              socket.emit(event, { ...payload, ...results });
+            } else if (payload) {
+              socket.emit(event, payload);
+            }
+          });
+        });
+      })
+      .catch(err => console.error("Error sending to poll room:", err));
+  };
+
+  // Record the audit seal of a poll that has closed: the heads of its vote hash chain
+  // (named and anonymized, see the audit bundle) signed with the audit key, so that audit
+  // bundles taken later show whether any vote changed since
+  const sealPollVotes = (poll, closedAt) => {
+    storage.votes.listRecords(poll).then(rows => {
+      const chain = buildHashChain(poll.id, rows.map(hashChainEntry));
+      const seal = {
+        pollId: poll.id,
+        closedAt,
+        voteCount: rows.length,
+        genesis: chain.genesis,
+        head: chain.head,
+        anonymizedHead: buildHashChain(poll.id, anonymizeVoteRecords(rows).map(hashChainEntry)).head
+      };
+      
+      // The signature covers the JSON of the seal above, in this order
+      return storage.auditSeals.create({
+        ...seal,
+        signature: crypto.sign(null, Buffer.from(JSON.stringify(seal)), auditKeys.privateKey).toString('base64'),
+        publicKey: auditKeys.publicKey,
+        createdAt: new Date().toISOString()
+      });
+    }).catch(err => {
+      console.error("Error sealing poll votes:", err);
+    });
+  };
+
+  // Announce that a poll has closed (reached its end time or was paused): the poll room
+  // receives a pollClosed event with the final results where its results visibility
+  // allows, and the creator is notified with them. The close is recorded as the poll's
+  // closed_at, so that closings missed while the server was down are announced when it
+  // starts (see startPollScheduler).
+  const announcePollClosed = (poll, closedAt) => {
+    storage.polls.update(poll.id, { closed_at: closedAt }).catch(err => {
+      console.error("Error recording poll close:", err);
+    });
+    sealPollVotes(poll, closedAt);
+    getPollResults(poll, (err, results) => {
+      if (err) {
+        console.error("Error getting final results:", err);
+        return;
+      }
+      
+      const event = { pollId: poll.id, question: poll.question, closedAt };
+      const finalResults = resultsPayload(poll.id, results);
+      
+      emitToPollRoom(poll, 'pollClosed', event, finalResults);
+      notifyUser(poll.created_by, 'pollClosed', { ...event, ...finalResults });
+      dispatchWebhooks(poll, 'pollClosed', { ...event, ...finalResults });
+    });
+  };
+
+  // Send a personal event to every socket the user has open
+  const notifyUser = (username, type, data) => {
+    io.to(`user:${username}`).emit('notification', { type, ...data, at: new Date().toISOString() });
+  };
+
+  // Whether a user may see a poll given its visibility (see POLL_VISIBILITIES).
+  // Calls back with true or false; private polls need an invite lookup.
+  const checkPollAccess = (poll, user, shareToken, callback) => {
+    if (poll.visibility !== 'private') {
+      return callback(null, true);
+    }
+    
+    if (user && (user.username === poll.created_by || hasPermission(user, 'polls:moderate'))) {
+      return callback(null, true);
+    }
+    
+    if (shareToken && poll.share_token && shareToken.length === poll.share_token.length &&
+        crypto.timingSafeEqual(Buffer.from(shareToken), Buffer.from(poll.share_token))) {
+      return callback(null, true);
+    }
+    
+    if (!user) {
+      return callback(null, false);
+    }
+    
+    storage.invites.exists(poll.id, user.username).then(invited => callback(null, invited), callback);
+  };
+
+  // The share token sent with a request, as ?shareToken= or an X-Share-Token header
+  const getShareToken = (req) => req.query.shareToken || req.get('X-Share-Token') || null;
+
+  // The sockets that may hear about a poll: everyone for public polls, otherwise only the
+  // poll room (whose members passed the access check) and the creator
+  const pollAudience = (poll) => (
+    poll.visibility === 'public' ? io : io.to([poll.id, `user:${poll.created_by}`])
+  );
+
+  // Whether a user's role grants a permission (see ROLE_PERMISSIONS)
+  const hasPermission = (user, permission) => (
+    !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission)
+  );
+
+  // Record a privileged action in the audit log
+  const recordAudit = (actor, action, targetType, targetId, details) => {
+    storage.auditLog.record({ actor, action, targetType, targetId, details, createdAt: new Date().toISOString() }).catch(err => {
+      console.error("Error writing audit log:", err);
+    });
+  };
+
+  // Middleware: only let through authenticated users whose role grants `permission`
+  const requirePermission = (permission) => (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+    next();
+  };
+
+  // Middleware: load the poll named by :id into req.poll
+  const loadPoll = (req, res, next) => {
+    storage.polls.findById(req.params.id).then(
+      (poll) => {
+        if (!poll) {
+          return res.status(404).json({ error: 'Poll not found' });
+        }
+        
+        req.poll = poll;
+        next();
+      },
+      (err) => {
+        console.error("Error checking poll:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  };
+
+  // Middleware: load the poll named by :id into req.poll, answering 404 when the user (or
+  // the share token sent with the request) can't see it
+  const loadVisiblePoll = (req, res, next) => {
+    loadPoll(req, res, () => {
+      checkPollAccess(req.poll, req.user, getShareToken(req), (err, allowed) => {
+        if (err) {
+          console.error("Error checking poll access:", err);
+          return res.status(500).json({ error: 'Database error' });
+        }
+        
+        if (!allowed) {
+          return res.status(404).json({ error: 'Poll not found' });
+        }
+        next();
+      });
+    });
+  };
+
+  // Middleware: load the poll named by :id and only let through its creator or users
+  // whose role grants `permission`. `action` completes the error messages. req.privileged
+  // is set when access came from the role rather than ownership.
+  const authorizePoll = (permission, action) => (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: `Authentication required to ${action}` });
+    }
+    
+    loadPoll(req, res, () => {
+      const isCreator = req.poll.created_by === req.user.username;
+      
+      if (!isCreator && !hasPermission(req.user, permission)) {
+        return res.status(403).json({ error: `Only the poll creator can ${action}` });
+      }
+      
+      req.privileged = !isCreator;
+      next();
+    });
+  };
+
+  // Record an action on req.poll in the audit log when it was allowed by the user's role
+  const auditPollAction = (req, action, details) => {
+    if (req.privileged) {
+      recordAudit(req.user.username, action, 'poll', req.poll.id, details);
+    }
+  };
+
+  // Delete a poll together with its votes, vote history, invites and options, and tell clients
+  const deletePoll = (poll, callback) => {
+    const pollId = poll.id;
+    
+    storage.polls.delete(pollId).then(() => {
+      // Notify clients about deleted poll
+      pollAudience(poll).emit('pollDeleted', { pollId });
+      dispatchWebhooks(poll, 'pollDeleted', { pollId });
+      unschedulePoll(pollId);
+      tallies.remove(pollId);
+      relay('tallyRemoved', pollId);
+      callback(null);
+    }, callback);
+  };
+
+  // Record an anonymous voter's fingerprint for a poll. Calls back with false when the
+  // fingerprint has already voted; a null fingerprint (no check) is always accepted.
+  const claimVoterFingerprint = (poll, username, fingerprint, callback) => {
+    if (!fingerprint) {
+      return callback(null, true);
+    }
+    
+    storage.votes.claimFingerprint(poll.id, fingerprint, username).then(
+      (claimed) => callback(null, claimed),
+      (err) => callback(err, false)
+    );
+  };
+
+  // Cast a new vote; shared by the REST vote route and the socket `vote` event.
+  // Calls back with { status, error } on failure, or with the response body on success.
+  const castVote = ({ pollId, username, user, shareToken, client, body }, callback) => {
+    const { optionId, optionIds } = body;
+    
+    // Validate request
+    if (!optionId && !optionIds) {
+      return callback({ status: 400, error: 'Option ID is required' });
+    }
+    
+    // Check if poll exists and is active
+    findOpenPoll(pollId, { user, shareToken }, (err, poll) => {
+      if (err) {
+        console.error("Error checking poll:", err);
+        return callback({ status: 500, error: 'Database error' });
+      }
+      
+      if (!poll) {
+        return callback({ status: 404, error: 'Poll not found or not active' });
+      }
+      
+      if (poll.require_auth === 1 && !user) {
+        return callback({ status: 401, error: 'This poll only accepts votes from logged-in users' });
+      }
+      
+      const { ballot, error } = parseBallot(poll, body);
+      if (error) {
+        return callback({ status: 400, error });
+      }
+      
+      // Check if user has already voted on this poll
+      storage.votes.hasVoted(pollId, username).then(existingVote => {
+        if (existingVote) {
+          return callback({ status: 400, error: 'You have already voted on this poll' });
+        }
+        
+        // Check that every chosen option belongs to this poll
+        checkBallotOptions(pollId, ballot, (err, valid) => {
+          if (err) {
+            console.error("Error checking option:", err);
+            return callback({ status: 500, error: 'Database error' });
+          }
+          
+          if (!valid) {
+            return callback({ status: 404, error: 'Option not found' });
+          }
+          
+          // Anonymous voters may be limited to one vote per IP address or device
+          claimVoterFingerprint(poll, username, getVoterFingerprint(poll, user, client), (err, claimed) => {
+            if (err) {
+              console.error("Error checking duplicate votes:", err);
+              return callback({ status: 500, error: 'Database error' });
+            }
+            
+            if (!claimed) {
+              return callback({
+                status: 400,
+                error: `A vote has already been cast on this poll from your ${poll.duplicate_check === 'ip' ? 'network' : 'device'}`
+              });
+            }
+            
+            // Record vote, one row per chosen option
+            storage.votes.write(poll, username, ballot, 'cast').then(() => {
+              // Count the vote in the live results (broadcast shortly after)
+              recordBallot(poll, username, ballot, [], (err, payload) => {
+                if (err) {
+                  console.error("Error getting results:", err);
+                  return callback({ status: 500, error: 'Database error' });
+                }
+                
+                notifyUser(username, 'voteRecorded', { pollId, optionIds: ballot });
+                
+                // The voter only gets the counts back if the poll's results visibility allows
+                callback(null, { 
+                  success: true, 
+                  ...(poll.type === 'single' ? { optionId } : { optionIds }),
+                  ...(resultsVisibleTo(poll, user, true) ? payload : { pollId })
+                });
+              });
+            }, (err) => {
+              // A concurrent vote by the same user got there first
+              if (err.code === 'SQLITE_CONSTRAINT') {
+                return callback({ status: 409, error: 'You have already voted on this poll' });
+              }
+              
+              console.error("Error recording vote:", err);
+              storage.votes.releaseFingerprints(pollId, username).catch(err => {
+                console.error("Error releasing vote fingerprints:", err);
+              });
+              callback({ status: 500, error: 'Database error' });
+            });
+          });
+        });
+      }, (err) => {
+        console.error("Error checking existing vote:", err);
+        callback({ status: 500, error: 'Database error' });
+      });
+    });
+  };
+
+  // The parts of a poll definition that poll templates save too: everything but the
+  // timing and the creator
+  const pollTemplateFields = {
+    question: string({ max: LIMITS.question }),
+    options: array(string({ max: LIMITS.optionText }), {
+      min: 2,
+      max: LIMITS.options,
+      unique: text => text.toLowerCase()
+    }),
+    type: optional(oneOf(POLL_TYPES), 'single'),
+    minSelections: optional(integer({ min: 1 })),
+    maxSelections: optional(integer({ min: 1 })),
+    allowVoteChange: optional(boolean(), false),
+    requireAuth: optional(boolean(), false),
+    visibility: optional(oneOf(POLL_VISIBILITIES), 'public'),
+    invites: optional(array(string({ max: LIMITS.username }), { max: LIMITS.invites }), []),
+    secretBallot: optional(boolean(), false),
+    resultsVisibility: optional(oneOf(RESULTS_VISIBILITIES), 'always'),
+    duplicateCheck: optional(oneOf(DUPLICATE_VOTE_CHECKS), 'none')
+  };
+
+  // Schema of a poll definition (the body of POST /api/polls, or one imported poll)
+  const pollDefinitionSchema = object({
+    ...pollTemplateFields,
+    startAt: optional(nullable(timestamp()), null),
+    activeUntil: optional(nullable(timestamp()), null),
+    createdBy: optional(string({ max: LIMITS.username }))
+  }, {
+    check: (poll, fail) => {
+      if (poll.startAt && poll.activeUntil && poll.activeUntil <= poll.startAt) {
+        fail('activeUntil', 'must be after startAt');
+      }
+      
+      // Secret ballots can't be changed later: nothing links them back to their voter
+      if (poll.secretBallot && poll.allowVoteChange) {
+        fail('allowVoteChange', 'cannot be true for secret-ballot polls');
+      }
+      
+      // Selection limits only apply to multiple and ranked polls
+      if (poll.type !== 'single') {
+        const min = poll.minSelections === undefined ? 1 : poll.minSelections;
+        const max = poll.maxSelections === undefined ? poll.options.length : poll.maxSelections;
+        if (min > max) {
+          fail('minSelections', 'must not be more than maxSelections');
+        } else if (max > poll.options.length) {
+          fail('maxSelections', 'must not be more than the number of options');
+        }
+      }
+    }
+  });
+
+  // Validate a poll definition and normalise the settings stored for it.
+  // Returns { definition } or { errors } (field errors, see validation.js).
+  const validatePollDefinition = (input) => {
+    const { value: poll, errors } = check(pollDefinitionSchema, input);
+    if (errors) {
+      return { errors };
+    }
+    
+    // Selection limits default to "any number"
+    const multiple = poll.type !== 'single';
+    
+    return {
+      definition: {
+        question: poll.question,
+        options: poll.options,
+        startAt: poll.startAt,
+        activeUntil: poll.activeUntil,
+        type: poll.type,
+        minSelections: multiple && poll.minSelections !== undefined ? poll.minSelections : 1,
+        maxSelections: multiple ? (poll.maxSelections !== undefined ? poll.maxSelections : poll.options.length) : 1,
+        allowVoteChange: poll.allowVoteChange,
+        // Every poll requires logged-in voters in strict mode, otherwise it's the creator's choice
+        requireAuth: STRICT_AUTH || poll.requireAuth,
+        visibility: poll.visibility,
+        invites: [...new Set(poll.invites)],
+        secretBallot: poll.secretBallot,
+        resultsVisibility: poll.resultsVisibility,
+        duplicateCheck: poll.duplicateCheck
+      }
+    };
+  };
+
+  // Build the storage record for a new poll (see polls.create) from a validated definition,
+  // together with the API representation of the poll
+  const buildNewPoll = (definition, createdBy) => {
+    // Generate an unguessable poll ID (unlisted polls rely on it staying secret)
+    const pollId = 'poll-' + crypto.randomBytes(12).toString('hex');
+    const createdAt = new Date().toISOString();
+    const options = definition.options.map((text, index) => ({
+      id: `option-${pollId}-${index + 1}`,
+      text
+    }));
+    
+    const record = {
+      poll: {
+        id: pollId,
+        question: definition.question,
+        created_by: createdBy,
+        created_at: createdAt,
+        start_at: definition.startAt,
+        active_until: definition.activeUntil,
+        // A poll created after its end time has nothing to announce
+        closed_at: definition.activeUntil && definition.activeUntil <= createdAt ? definition.activeUntil : null,
+        is_active: 1,
+        type: definition.type,
+        min_selections: definition.minSelections,
+        max_selections: definition.maxSelections,
+        allow_vote_change: definition.allowVoteChange ? 1 : 0,
+        require_auth: definition.requireAuth ? 1 : 0,
+        visibility: definition.visibility,
+        secret_ballot: definition.secretBallot ? 1 : 0,
+        results_visibility: definition.resultsVisibility,
+        duplicate_check: definition.duplicateCheck
+      },
+      options,
+      invites: definition.invites
+    };
+    
+    const poll = {
+      id: pollId,
+      question: definition.question,
+      type: definition.type,
+      minSelections: definition.minSelections,
+      maxSelections: definition.maxSelections,
+      allowVoteChange: definition.allowVoteChange,
+      requireAuth: definition.requireAuth,
+      visibility: definition.visibility,
+      secretBallot: definition.secretBallot,
+      resultsVisibility: definition.resultsVisibility,
+      duplicateCheck: definition.duplicateCheck,
+      invites: definition.invites,
+      options,
+      results: options.map(opt => ({
+        id: opt.id,
+        text: opt.text,
+        votes: 0
+      })),
+      createdBy,
+      createdAt,
+      startAt: definition.startAt,
+      activeUntil: definition.activeUntil,
+      isActive: 1
+    };
+    
+    return { poll, record };
+  };
+
+  // Announce a newly created poll to the clients that may see it (everyone for public
+  // polls, otherwise only the creator and the invited users), tell invited users, and arm
+  // its lifecycle timers. The broadcast leaves out the invite list.
+  const announceNewPoll = (poll) => {
+    const { invites, ...announced } = poll;
+    const audience = poll.visibility === 'public'
+      ? io
+      : io.to([poll.createdBy, ...invites].map(username => `user:${username}`));
+    audience.emit('pollCreated', announced);
+    dispatchWebhooks({ id: poll.id, created_by: poll.createdBy }, 'pollCreated', poll);
+    poll.invites.forEach(username => {
+      notifyUser(username, 'pollInvite', { pollId: poll.id, question: poll.question, invitedBy: poll.createdBy });
+    });
+    schedulePoll({
+      id: poll.id,
+      start_at: poll.startAt,
+      active_until: poll.activeUntil
+    });
+  };
+
+  // Validate a poll definition, create the poll for `createdBy` and respond with it (201),
+  // or with the validation errors
+  const createPoll = (res, input, createdBy) => {
+    const { definition, errors } = validatePollDefinition(input);
+    if (errors) {
+      return res.status(400).json(validationError(errors));
+    }
+    
+    const { poll, record } = buildNewPoll(definition, createdBy);
+    
+    // Insert the poll and its options in one transaction
+    storage.polls.create([record]).then(
+      () => {
+        // Notify clients about new poll
+        announceNewPoll(poll);
+        
+        res.status(201).json(poll);
+      },
+      (err) => {
+        console.error("Error creating poll:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  };
+
+  // Body of the routes creating a poll from a template or from another poll: a new question
+  // and timing, all optional. The poll starts at startAt (default: now) and ends at
+  // activeUntil, or durationMinutes after it starts (default: the template's or the
+  // original poll's duration).
+  const pollCopySchema = object({
+    question: optional(string({ max: LIMITS.question })),
+    startAt: optional(nullable(timestamp()), null),
+    activeUntil: optional(nullable(timestamp())),
+    durationMinutes: optional(nullable(integer({ min: 1, max: MAX_POLL_DURATION_MINUTES })))
+  }, {
+    check: (body, fail) => {
+      if (body.activeUntil !== undefined && body.durationMinutes !== undefined) {
+        fail('durationMinutes', 'cannot be combined with activeUntil');
+      }
+    }
+  });
+
+  // The timing of a poll created from a template or another poll (see pollCopySchema):
+  // { startAt, activeUntil }, where a null activeUntil leaves the poll open-ended
+  const copyTiming = ({ startAt, activeUntil, durationMinutes }, defaultDuration) => {
+    if (activeUntil !== undefined) {
+      return { startAt, activeUntil };
+    }
+    
+    const duration = durationMinutes !== undefined ? durationMinutes : defaultDuration;
+    if (!duration) {
+      return { startAt, activeUntil: null };
+    }
+    
+    const start = startAt ? Date.parse(startAt) : Date.now();
+    return { startAt, activeUntil: new Date(start + duration * 60 * 1000).toISOString() };
+  };
+
+  // Maximum number of polls in one import
+  const MAX_IMPORT_POLLS = 200;
+
+  // Turn a CSV import row (all strings) into a poll definition
+  const csvRowToPollDefinition = (row) => {
+    const value = (key) => (row[key] === undefined || row[key].trim() === '' ? undefined : row[key].trim());
+    const number = (key) => (value(key) === undefined ? undefined : Number(value(key)));
+    const flag = (key) => (value(key) === undefined ? undefined : value(key).toLowerCase() === 'true');
+    
+    return {
+      question: value('question'),
+      options: value('options') && value('options').split('|').map(text => text.trim()).filter(Boolean),
+      startAt: value('startAt'),
+      activeUntil: value('activeUntil'),
+      type: value('type'),
+      minSelections: number('minSelections'),
+      maxSelections: number('maxSelections'),
+      allowVoteChange: flag('allowVoteChange'),
+      requireAuth: flag('requireAuth'),
+      secretBallot: flag('secretBallot'),
+      resultsVisibility: value('resultsVisibility'),
+      duplicateCheck: value('duplicateCheck'),
+      visibility: value('visibility'),
+      invites: value('invites') && value('invites').split('|').map(username => username.trim()).filter(Boolean)
+    };
+  };
+
+  // Outgoing webhooks
+  // Users subscribe URLs to the events of the polls they created (moderators and admins can
+  // subscribe to every poll). Each event is stored as a delivery, POSTed as JSON signed with
+  // the subscription's secret, and retried with exponential backoff until it succeeds or
+  // runs out of attempts.
+
+  // Events a webhook can subscribe to (the same names as the Socket.IO events)
+  const WEBHOOK_EVENTS = [
+    'pollCreated',
+    'resultsUpdated',
+    'pollStatusUpdated',
+    'pollTimingUpdated',
+    'pollUpdated',
+    'pollOpened',
+    'pollClosed',
+    'pollDeleted'
+  ];
+
+  // Roles whose webhooks may receive the events of every poll
+  const WEBHOOK_ALL_POLLS_ROLES = ROLES.filter(role => ROLE_PERMISSIONS[role].includes('polls:moderate'));
+
+  // Send an HTTP(S) POST with a JSON body to one of the addresses the URL's host resolved
+  // to (see destinations.js). Calls back with the response status code.
+  const postJson = (url, addresses, body, headers, callback) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    let done = false;
+    const finish = (err, statusCode) => {
+      if (!done) {
+        done = true;
+        callback(err, statusCode);
+      }
+    };
+    
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      lookup: pinnedLookup(addresses)
+    }, (response) => {
+      response.resume();
+      response.on('end', () => finish(null, response.statusCode));
+    });
+    
+    request.on('timeout', () => request.destroy(new Error('Request timed out')));
+    request.on('error', (err) => finish(err));
+    request.end(body);
+  };
+
+  // Sign a webhook body: HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret
+  const signWebhook = (secret, timestamp, body) => (
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  );
+
+  // Make one attempt at a delivery and record the outcome, scheduling a retry when it failed
+  // and attempts remain. Calls back with the updated delivery row.
+  const attemptDelivery = (deliveryId, callback = () => {}) => {
+    storage.webhooks.findDeliveryTarget(deliveryId).then(
+      (delivery) => {
+        if (!delivery || delivery.status !== 'pending') {
+          return callback(null, delivery);
+        }
+        
+        const timestamp = Math.floor(Date.now() / 1000);
+        const headers = {
+          'User-Agent': 'voting-api-webhooks',
+          'X-Webhook-Id': String(delivery.webhook_id),
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signWebhook(delivery.secret, timestamp, delivery.payload)}`
+        };
+        
+        const record = (err, statusCode) => {
+          const attempts = delivery.attempts + 1;
+          const succeeded = !err && statusCode >= 200 && statusCode < 300;
+          const retry = !succeeded && delivery.active === 1 && attempts < WEBHOOK_MAX_ATTEMPTS;
+          const nextAttemptAt = retry
+            ? new Date(Date.now() + WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString()
+            : null;
+          
+          storage.webhooks.updateDelivery(delivery.id, {
+            status: succeeded ? 'delivered' : (retry ? 'pending' : 'failed'),
+            attempts,
+            statusCode: statusCode || null,
+            error: succeeded ? null : (err ? err.message : `HTTP ${statusCode}`),
+            nextAttemptAt,
+            lastAttemptAt: new Date().toISOString()
+          }).catch(updateErr => {
+            console.error("Error recording webhook delivery:", updateErr);
+          }).then(() => {
+            if (retry) {
+              scheduleDelivery(delivery.id, nextAttemptAt);
+            }
+            return storage.webhooks.findDelivery(delivery.id);
+          }).then(updated => callback(null, updated), callback);
+        };
+        
+        // Deliveries to disabled webhooks fail without being sent
+        if (delivery.active !== 1) {
+          return record(new Error('Webhook is disabled'));
+        }
+        
+        // The host is checked again before every attempt, as its addresses may have changed
+        resolveDestination(delivery.url, { allowedHosts: WEBHOOK_ALLOWED_HOSTS }).then(
+          (addresses) => postJson(delivery.url, addresses, delivery.payload, headers, record),
+          (err) => record(err)
+        );
+      },
+      callback
+    );
+  };
+
+  // Pending webhook retry timers
+  const deliveryTimers = new Set();
+  
+  // Arm the timer for a delivery's next attempt
+  const scheduleDelivery = (deliveryId, at) => {
+    const delay = Math.max(new Date(at).getTime() - Date.now(), 0);
+    const timer = setTimeout(() => {
+      deliveryTimers.delete(timer);
+      attemptDelivery(deliveryId);
+    }, Math.min(delay, MAX_TIMER_DELAY));
+    deliveryTimers.add(timer);
+  };
+
+  // Store a delivery of an event to one webhook and make its first attempt
+  const queueDelivery = (webhookId, event, data, callback) => {
+    const id = crypto.randomBytes(12).toString('hex');
+    const createdAt = new Date().toISOString();
+    const payload = JSON.stringify({ id, event, createdAt, data });
+    
+    storage.webhooks.createDelivery({ id, webhookId, event, payload, createdAt }).then(
+      () => attemptDelivery(id, callback),
+      callback
+    );
+  };
+
+  // Send a poll event to every active webhook subscribed to it: the poll creator's own,
+  // plus the all-polls webhooks of moderators and admins
+  const dispatchWebhooks = (poll, event, data) => {
+    storage.webhooks.listForPoll(poll.created_by, WEBHOOK_ALL_POLLS_ROLES).then(
+      (webhooks) => {
+        webhooks
+          .filter(webhook => JSON.parse(webhook.events).includes(event))
+          .forEach(webhook => {
+            queueDelivery(webhook.id, event, data, (err) => {
+              if (err) {
+                console.error("Error delivering webhook:", err);
+              }
+            });
+          });
+      },
+      (err) => {
+        console.error("Error loading webhooks:", err);
+      }
+    );
+  };
+
+  // Resume the retries of deliveries still pending (called at startup)
+  const resumeWebhookDeliveries = () => {
+    storage.webhooks.listPendingDeliveries().then(
+      (deliveries) => {
+        deliveries.forEach(delivery => scheduleDelivery(delivery.id, delivery.next_attempt_at || delivery.created_at));
+      },
+      (err) => {
+        console.error("Error loading pending webhook deliveries:", err);
+      }
+    );
+  };
+
+  // Poll lifecycle scheduler
+  // Keeps a timer for every upcoming poll opening (start_at) and closing (active_until),
+  // and announces them with pollOpened / pollClosed events when they fire.
+  const pollTimers = new Map();
+
+  // setTimeout can't wait longer than ~24.8 days; longer waits are re-armed in steps
+  const MAX_TIMER_DELAY = 2147483647;
+
+  // Cancel every pending timer for a poll
+  const unschedulePoll = (pollId) => {
+    if (!scheduler) {
+      return io.serverSideEmit('pollScheduleChanged', pollId);
+    }
+    
+    const timers = pollTimers.get(pollId);
+    if (timers) {
+      timers.forEach(clearTimeout);
+      pollTimers.delete(pollId);
+    }
+  };
+
+  // (Re-)arm the opening and closing timers for a poll row
+  const schedulePoll = (poll) => {
+    if (!scheduler) {
+      return io.serverSideEmit('pollScheduleChanged', poll.id);
+    }
+    
+    unschedulePoll(poll.id);
+    
+    const now = Date.now();
+    const timers = [];
+    const arm = (time, handler) => {
+      const at = time ? new Date(time).getTime() : NaN;
+      if (!(at > now)) {
+        return;
+      }
+      
+      if (at - now > MAX_TIMER_DELAY) {
+        timers.push(setTimeout(() => reschedulePoll(poll.id), MAX_TIMER_DELAY));
+      } else {
+        timers.push(setTimeout(handler, at - now));
+      }
+    };
+    
+    arm(poll.start_at, () => handlePollOpened(poll.id, poll.start_at));
+    arm(poll.active_until, () => handlePollClosed(poll.id, poll.active_until));
+    
+    if (timers.length > 0) {
+      pollTimers.set(poll.id, timers);
+    }
+  };
+
+  // Reload a poll from the database and re-arm its timers
+  const reschedulePoll = (pollId) => {
+    storage.polls.findById(pollId).then(poll => {
+      if (poll) {
+        schedulePoll(poll);
+      } else {
+        unschedulePoll(pollId);
+      }
+    }).catch(err => {
+      console.error("Error rescheduling poll:", err);
+    });
+  };
+
+  // A poll's start time was reached
+  const handlePollOpened = (pollId, startAt) => {
+    storage.polls.findById(pollId).then(poll => {
+      // Ignore timers for polls that were deleted, paused or retimed in the meantime
+      if (!poll || poll.start_at !== startAt || poll.is_active !== 1) {
+        return;
+      }
+      
+      const event = {
+        pollId,
+        question: poll.question,
+        startAt: poll.start_at,
+        activeUntil: poll.active_until
+      };
+      pollAudience(poll).emit('pollOpened', event);
+      dispatchWebhooks(poll, 'pollOpened', event);
+    }).catch(err => {
+      console.error("Error opening poll:", err);
+    });
+  };
+
+  // A poll's end time was reached: announce it everywhere, and send the poll room
+  // (and the creator) the final results
+  const handlePollClosed = (pollId, activeUntil) => {
+    storage.polls.findById(pollId).then(poll => {
+      pollTimers.delete(pollId);
+      
+      // Ignore timers for polls that were deleted or retimed in the meantime
+      if (!poll || poll.active_until !== activeUntil) {
+        return;
+      }
+      
+      if (poll.visibility === 'public') {
+        io.except(pollId).emit('pollClosed', { pollId, question: poll.question, closedAt: poll.active_until });
+      }
+      announcePollClosed(poll, poll.active_until);
+    }).catch(err => {
+      console.error("Error closing poll:", err);
+    });
+  };
+
+  // Arm timers for every poll that still has an opening or closing ahead of it
+  // (called at startup so the schedule survives restarts), announce the polls that reached
+  // their end time while the server was down, and follow the schedule changes made by the
+  // other instances
+  const startPollScheduler = () => {
+    io.on('pollScheduleChanged', reschedulePoll);
+    
+    const now = new Date().toISOString();
+    
+    storage.polls.listScheduled(now).then(polls => {
+      polls.forEach(schedulePoll);
+      console.log(`Scheduled lifecycle events for ${polls.length} poll(s)`);
+    }).catch(err => {
+      console.error("Error loading poll schedule:", err);
+    });
+    
+    storage.polls.listUnannouncedClosings(now).then(polls => {
+      polls.forEach(poll => handlePollClosed(poll.id, poll.active_until));
+      if (polls.length > 0) {
+        console.log(`Announced ${polls.length} poll(s) that closed while the server was down`);
+      }
+    }).catch(err => {
+      console.error("Error loading missed poll closings:", err);
+    });
+  };
+
+  // Request schemas shared by several routes
+  const pollParams = object({ id: string({ max: LIMITS.id }) });
+  const validatePollParams = validate({ params: pollParams });
+  
+  // A vote: optionId for single-choice polls, optionIds (in preference order when ranked)
+  // otherwise, and the voter's username when not authenticated in compat mode
+  const voteSchema = object({
+    optionId: optional(string({ max: LIMITS.id })),
+    optionIds: optional(array(string({ max: LIMITS.id }), { min: 1, max: LIMITS.options })),
+    username: optional(string({ max: LIMITS.username }))
+  }, {
+    check: (vote, fail) => {
+      if (vote.optionId === undefined && vote.optionIds === undefined) {
+        fail('optionId', 'is required (or optionIds for multiple-choice and ranked polls)');
+      }
+    }
+  });
+  
+  // ?format= of exports and ?anonymize= of vote exports
+  const formatQuery = { format: optional(oneOf(EXPORT_FORMATS), 'csv') };
+  const anonymizeQuery = { anonymize: optional(boolean({ coerce: true }), false) };
+  
+  const webhookEventsSchema = array(oneOf(WEBHOOK_EVENTS), { min: 1, unique: true });
+
+  // Routes
+
+  // Health check route
+  app.get('/api/health', (req, res) => {
+    res.json({ status: 'OK', message: 'Server is running', timestamp: new Date().toISOString() });
+  });
+
+  // Register a new user
+  app.post('/api/users/register', rateLimit('register'), validate({
+    body: object({
+      username: string({
+        pattern: USERNAME_PATTERN,
+        patternMessage: 'must be 3 to 32 letters, digits, dots, dashes or underscores'
+      }),
+      email: optional(nullable(string({ max: LIMITS.email, pattern: EMAIL_PATTERN, patternMessage: 'must be an email address' }))),
+      password: string({ min: PASSWORD_MIN_LENGTH, max: LIMITS.password, trim: false })
+    })
+  }), async (req, res) => {
+    const { username, email, password } = req.body;
+    
+    try {
+      // Check if user already exists
+      if (await storage.users.findByUsername(username)) {
+        return res.status(400).json({ error: 'Username already exists' });
+      }
+      
+      // Hash password
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(password, salt);
+      
+      // New accounts are always plain users: ADMIN_USERNAMES only promotes accounts that
+      // exist when the server starts
+      const role = 'user';
+      
+      // Insert new user
+      const id = await storage.users.create({
+        username,
+        email,
+        password: hashedPassword,
+        createdAt: new Date().toISOString(),
+        role
+      });
+      
+      // Start a session with an access token and refresh token
+      createSession({ id, username, role }, (err, tokens) => {
+        if (err) {
+          console.error("Error creating session:", err);
+          return res.status(500).json({ error: 'Failed to create session' });
+        }
+        
+        res.status(201).json({
+          message: 'User registered successfully',
+          ...tokens,
+          username
+        });
+      });
+    } catch (error) {
+      console.error("Registration error:", error);
+      res.status(500).json({ error: 'Registration failed' });
+    }
+  });
+
+  // Login user
+  app.post('/api/users/login', rateLimit('auth', (req) => req.body.username), validate({
+    body: object({
+      username: string({ max: LIMITS.username }),
+      password: string({ max: LIMITS.password, trim: false })
+    })
+  }), async (req, res) => {
+    const { username, password } = req.body;
+    
+    // Refuse logins to locked accounts without checking the password
+    const lockout = getLoginLockout(username);
+    if (lockout) {
+      res.set('Retry-After', String(lockout));
+      return res.status(429).json({ error: 'Too many failed login attempts, please try again later' });
+    }
+    
+    try {
+      // Find user
+      const user = await storage.users.findByUsername(username);
+      
+      if (!user) {
+        recordLoginFailure(username);
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+      
+      // Compare passwords
+      const isMatch = await bcrypt.compare(password, user.password);
+      
+      if (!isMatch) {
+        recordLoginFailure(username);
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+      loginFailures.delete(username);
+      
+      if (user.disabled) {
+        return res.status(403).json({ error: 'This account has been disabled' });
+      }
+      
+      // Start a session with an access token and refresh token
+      createSession(user, (err, tokens) => {
+        if (err) {
+          console.error("Error creating session:", err);
+          return res.status(500).json({ error: 'Failed to create session' });
+        }
+        
+        res.json({
+          message: 'Login successful',
+          ...tokens,
+          username: user.username
+        });
+      });
+    } catch (error) {
+      console.error("Login error:", error);
+      res.status(500).json({ error: 'Login failed' });
+    }
+  });
+
+  // Exchange a refresh token for a new access token and refresh token.
+  // Each refresh token can be used once; presenting a used one again revokes its session.
+  app.post('/api/users/refresh', rateLimit('auth'), validate({
+    body: object({ refreshToken: string({ max: LIMITS.token }) })
+  }), (req, res) => {
+    const { refreshToken } = req.body;
+    
+    storage.refreshTokens.findByHash(hashToken(refreshToken)).then(
+      (stored) => {
+        if (!stored || stored.revoked_at || stored.disabled || stored.expires_at < new Date().toISOString()) {
+          return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+        
+        if (stored.used_at) {
+          // A rotated token is being replayed, so the session may be compromised
+          return revokeSessions({ sessionId: stored.session_id }, (err) => {
+            if (err) {
+              console.error("Error revoking session:", err);
+            }
+            res.status(401).json({ error: 'Refresh token has already been used' });
+          });
+        }
+        
+        return storage.refreshTokens.markUsed(stored.id, new Date().toISOString()).then(
+          (rotated) => {
+            // Another request rotated this token first
+            if (!rotated) {
+              return res.status(401).json({ error: 'Refresh token has already been used' });
+            }
+            
+            const user = { id: stored.user_id, username: stored.username, role: stored.role };
+            issueTokens(user, stored.session_id, (err, tokens) => {
+              if (err) {
+                console.error("Error issuing tokens:", err);
+                return res.status(500).json({ error: 'Database error' });
+              }
+              
+              res.json({ ...tokens, username: user.username });
+            });
+          },
+          (err) => {
+            console.error("Error rotating refresh token:", err);
+            res.status(500).json({ error: 'Database error' });
+          }
+        );
+      },
+      (err) => {
+        console.error("Database error:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Log out the current session (identified by the access token or a refresh token)
+  app.post('/api/users/logout', authenticateToken, validate({
+    body: object({ refreshToken: optional(string({ max: LIMITS.token })) })
+  }), (req, res) => {
+    const { refreshToken } = req.body;
+    
+    const revoke = (sessionId) => {
+      revokeSessions({ sessionId }, (err) => {
+        if (err) {
+          console.error("Error revoking session:", err);
+          return res.status(500).json({ error: 'Database error' });
+        }
+        res.json({ success: true, message: 'Logged out' });
+      });
+    };
+    
+    if (req.user) {
+      return revoke(req.user.sid);
+    }
+    
+    if (!refreshToken) {
+      return res.status(401).json({ error: 'Authentication required to log out' });
+    }
+    
+    storage.refreshTokens.findByHash(hashToken(refreshToken)).then(
+      (stored) => {
+        if (!stored) {
+          return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+        revoke(stored.session_id);
+      },
+      (err) => {
+        console.error("Database error:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Log out every session of the current user
+  app.post('/api/users/logout-all', authenticateToken, (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required to log out' });
+    }
+    
+    revokeSessions({ userId: req.user.id }, (err) => {
+      if (err) {
+        console.error("Error revoking sessions:", err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      res.json({ success: true, message: 'Logged out of all sessions' });
+    });
+  });
+
+  // Get user profile
+  app.get('/api/users/profile', authenticateToken, (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    storage.users.findById(req.user.id).then(
+      (user) => {
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const { id, username, email, role, created_at } = user;
+        res.json({ id, username, email, role, created_at });
+      },
+      (err) => {
+        console.error("Database error:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Get the polls created by the current user, including paused and ended ones,
+  // with their live totals
+  app.get('/api/users/me/polls', authenticateToken, (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    storage.polls.listByCreator(req.user.username).then(
+      (polls) => {
+        getPollsDetails(polls, (err, details) => {
+          if (err) {
+            console.error("Error processing polls:", err);
+            return res.status(500).json({ error: 'Database error' });
+          }
+          
+          const now = new Date().toISOString();
+          res.json(details.map((poll, index) => ({
+            ...poll,
+            status: getPollStatus(polls[index], now),
+            totalVoters: polls[index].vote_count
+          })));
+        });
+      },
+      (err) => {
+        console.error("Error fetching polls:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Get the polls the current user voted in, with the options they picked
+  // (secret-ballot polls are listed without choices, which aren't linked to the voter)
+  app.get('/api/users/me/votes', authenticateToken, (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    storage.votes.listByVoter(req.user.username).then(
+      (rows) => {
+        // Group the vote rows into one entry per poll
+        const now = new Date().toISOString();
+        const entries = [];
+        const entriesByPoll = {};
+        rows.forEach(row => {
+          let entry = entriesByPoll[row.poll_id];
+          if (!entry) {
+            entry = entriesByPoll[row.poll_id] = {
+              pollId: row.poll_id,
+              question: row.question,
+              type: row.type,
+              status: getPollStatus(row, now),
+              secretBallot: row.secret_ballot === 1,
+              votedAt: row.voted_at,
+              choices: []
+            };
+            entries.push(entry);
+          }
+          
+          if (row.option_id) {
+            entry.choices.push({ optionId: row.option_id, text: row.option_text, rank: row.rank });
+          }
+        });
+        
+        res.json(entries);
+      },
+      (err) => {
+        console.error("Error fetching votes:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Get aggregate voting stats for the current user.
+  // participationRate is the share (in percent) of other users' polls open since the user
+  // registered that the user voted in.
+  app.get('/api/users/me/stats', authenticateToken, (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    storage.users.stats(req.user).then(
+      (stats) => {
+        const rate = stats.eligible_polls
+          ? Math.round((Math.min(stats.other_polls_voted_in, stats.eligible_polls) / stats.eligible_polls) * 1000) / 10
+          : 0;
+        
+        res.json({
+          pollsCreated: stats.polls_created,
+          votesReceived: stats.votes_received,
+          pollsVotedIn: stats.polls_voted_in,
+          participationRate: rate
+        });
+      },
+      (err) => {
+        console.error("Error fetching stats:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Get polls, a page at a time. Query parameters:
+  //   status     upcoming, active, ended, paused or all; comma-separate to combine (default active)
+  //   createdBy  only polls created by this user
+  //   votedByMe  "true" to only return polls the authenticated user has voted in
+  //   q          search terms, each matched against the question or any option text
+  //   sort       created, endTime or votes (default created); order asc or desc (default desc)
+  //   limit      page size (default 20, max 100)
+  //   cursor     the X-Next-Cursor header of the previous page
+  // The body is an array of polls; X-Next-Cursor is set when there are more pages.
+  app.get('/api/polls', authenticateToken, validate({
+    query: object({
+      status: optional(string({ max: 100 }), 'active'),
+      createdBy: optional(string({ max: LIMITS.username })),
+      votedByMe: optional(boolean({ coerce: true }), false),
+      q: optional(string({ min: 0, max: 200 })),
+      sort: optional(oneOf(Object.keys(POLL_SORT_KEYS)), 'created'),
+      order: optional(oneOf(['asc', 'desc']), 'desc'),
+      limit: optional(integer({ min: 1, max: MAX_PAGE_SIZE, coerce: true }), DEFAULT_PAGE_SIZE),
+      cursor: optional(string({ max: 500 }))
+    }, {
+      check: (query, fail) => {
+        const statuses = query.status.split(',').map(status => status.trim());
+        if (statuses.some(status => status !== 'all' && !POLL_STATUS_FILTERS[status])) {
+          fail('status', `must be a comma-separated list of: ${Object.keys(POLL_STATUS_FILTERS).join(', ')}, all`);
+        }
+        if (query.cursor && !decodeCursor(query.cursor, query.sort)) {
+          fail('cursor', 'is not a valid cursor');
+        }
+      }
+    })
+  }), (req, res) => {
+    const now = new Date().toISOString();
+    const { createdBy, votedByMe, q, cursor, sort, order, limit } = req.query;
+    const statuses = req.query.status.split(',').map(status => status.trim());
+    
+    if (votedByMe && !req.user) {
+      return res.status(401).json({ error: 'Authentication required to filter by your votes' });
+    }
+    
+    const after = cursor ? decodeCursor(cursor, sort) : null;
+    
+    // Only public polls are listed, apart from the user's own polls and private polls they're
+    // invited to. Every search term must appear in the question or in one of the options.
+    storage.polls.list({
+      viewer: req.user ? req.user.username : null,
+      statuses,
+      createdBy,
+      votedBy: votedByMe ? req.user.username : null,
+      terms: q ? q.split(/\s+/).filter(Boolean).slice(0, 10) : [],
+      sort,
+      order,
+      after,
+      limit: limit + 1,
+      now
+    }).then(
+      (polls) => {
+        // One extra row was fetched to find out whether there is another page
+        const page = polls.slice(0, limit);
+        if (polls.length > limit) {
+          const last = page[page.length - 1];
+          res.set('X-Next-Cursor', encodeCursor({ sort, key: last.sort_key, id: last.id }));
+        }
+        
+        getPollsDetails(page, (err, formattedPolls) => {
+          if (err) {
+            console.error("Error processing polls:", err);
+            return res.status(500).json({ error: 'Database error' });
+          }
+          
+          // Vote counts are left out where the results visibility hides them from this user
+          applyResultsPolicy(page, formattedPolls, req.user, (err, visiblePolls) => {
+            if (err) {
+              console.error("Error checking results access:", err);
+              return res.status(500).json({ error: 'Database error' });
+            }
+            
+            res.json(visiblePolls);
+          });
+        });
+      },
+      (err) => {
+        console.error("Error fetching polls:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Get a specific poll (private polls need an invite or their share token)
+  app.get('/api/polls/:id', authenticateToken, validatePollParams, loadVisiblePoll, (req, res) => {
+    getPollDetails(req.poll, (err, details) => {
+      if (err) {
+        console.error("Error processing poll:", err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      
+      // Vote counts are left out when the results visibility hides them from this user
+      applyResultsPolicy([req.poll], [details], req.user, (err, [visibleDetails] = []) => {
+        if (err) {
+          console.error("Error checking results access:", err);
+          return res.status(500).json({ error: 'Database error' });
+        }
+        
+        res.json(visibleDetails);
+      });
+    });
+  });
+
+  // Middleware: only let through users allowed to see req.poll's results
+  const requireResultsAccess = (req, res, next) => {
+    checkResultsAccess(req.poll, req.user, (err, allowed) => {
+      if (err) {
+        console.error("Error checking results access:", err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      
+      if (!allowed) {
+        return res.status(403).json({
+          error: 'The results of this poll are hidden',
+          resultsVisibility: req.poll.results_visibility
+        });
+      }
+      next();
+    });
+  };
+
+  // Create a new poll
+  app.post('/api/polls', authenticateToken, rateLimit('create'), (req, res) => {
+    const createdBy = resolveUsername(req, res, 'createdBy');
+    if (!createdBy) {
+      return;
+    }
+    
+    createPoll(res, req.body, createdBy);
+  });
+
+  // Import many polls at once (authenticated users only). The body is either JSON (an array
+  // of poll definitions, or { polls: [...] }) or a CSV document sent as text/csv with the
+  // columns question, options (separated by |), startAt, activeUntil, type, minSelections,
+  // maxSelections, allowVoteChange and requireAuth. Every poll is validated like
+  // POST /api/polls; if any row is invalid nothing is imported and the errors are listed per row.
+  app.post(
+    '/api/polls/import',
+    express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+    authenticateToken,
+    rateLimit('create'),
+    (req, res) => {
+      // Must be authenticated to import polls
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required to import polls' });
+      }
+      
+      let rows;
+      if (typeof req.body === 'string') {
+        rows = parseCsv(req.body).map(csvRowToPollDefinition);
+      } else {
+        rows = Array.isArray(req.body) ? req.body : req.body.polls;
+      }
+      
+      if (!Array.isArray(rows) || rows.length === 0) {
+        return res.status(400).json({ error: 'No polls to import' });
+      }
+      
+      if (rows.length > MAX_IMPORT_POLLS) {
+        return res.status(400).json({ error: `At most ${MAX_IMPORT_POLLS} polls can be imported at once` });
+      }
+      
+      // Validate every row before touching the database
+      const fields = [];
+      const definitions = rows.map((row, index) => {
+        const { definition, errors } = validatePollDefinition(row);
+        if (errors) {
+          fields.push(...errors.map(error => ({ row: index + 1, ...error })));
+        }
+        return definition;
+      });
+      
+      if (fields.length > 0) {
+        return res.status(400).json({
+          ...validationError(fields),
+          error: 'Some polls are invalid, nothing was imported'
+        });
+      }
+      
+      const created = definitions.map(definition => buildNewPoll(definition, req.user.username));
+      
+      storage.polls.create(created.map(entry => entry.record)).then(
+        () => {
+          const polls = created.map(entry => entry.poll);
+          polls.forEach(announceNewPoll);
+          
+          res.status(201).json({ imported: polls.length, polls });
+        },
+        (err) => {
+          console.error("Error importing polls:", err);
+          res.status(500).json({ error: 'Database error' });
+        }
+      );
+    }
+  );
+
+  // Create a new poll for the authenticated user with the question, options and settings of
+  // a poll they can see (see pollCopySchema for the body). The invites are only copied for
+  // the poll's creator. Without new timing the copy starts now and runs as long as the
+  // original did.
+  app.post('/api/polls/:id/duplicate', authenticateToken, rateLimit('create'), validate({
+    params: pollParams,
+    body: pollCopySchema
+  }), (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required to duplicate polls' });
+    }
+    
+    loadVisiblePoll(req, res, () => {
+      const original = req.poll;
+      
+      const isCreator = original.created_by === req.user.username;
+      const duration = original.active_until
+        ? Math.max(1, Math.round((Date.parse(original.active_until) - Date.parse(original.start_at || original.created_at)) / 60000))
+        : null;
+      
+      Promise.all([
+        storage.options.list(original.id),
+        isCreator ? storage.invites.list(original.id) : []
+      ]).then(
+        ([options, invites]) => {
+          createPoll(res, {
+            question: req.body.question !== undefined ? req.body.question : original.question,
+            options: options.map(opt => opt.text),
+            ...copyTiming(req.body, duration),
+            type: original.type,
+            minSelections: original.type !== 'single' ? original.min_selections || undefined : undefined,
+            maxSelections: original.type !== 'single' ? original.max_selections || undefined : undefined,
+            allowVoteChange: original.allow_vote_change === 1,
+            requireAuth: original.require_auth === 1,
+            visibility: original.visibility,
+            invites: invites.map(invite => invite.username),
+            secretBallot: original.secret_ballot === 1,
+            resultsVisibility: original.results_visibility,
+            duplicateCheck: original.duplicate_check
+          }, req.user.username);
+        },
+        (err) => {
+          console.error("Error fetching options:", err);
+          res.status(500).json({ error: 'Database error' });
+        }
+      );
+    });
+  });
+
+  // Submit a vote - respect poll timing restrictions
+  app.post('/api/polls/:id/vote', authenticateToken, rateLimit('vote'), validate({ params: pollParams, body: voteSchema }), (req, res) => {
+    const username = resolveUsername(req, res, 'username');
+    if (!username) {
+      return;
+    }
+    
+    castVote(
+      {
+        pollId: req.params.id,
+        username,
+        user: req.user,
+        shareToken: getShareToken(req),
+        client: { ip: req.ip, deviceId: req.user ? null : getDeviceId(req, res) },
+        body: req.body
+      },
+      (err, result) => {
+        if (err) {
+          return res.status(err.status).json({ error: err.error });
+        }
+        res.json(result);
+      }
+    );
+  });
+
+  // Change an existing vote while the poll is open (polls with allowVoteChange only)
+  app.put('/api/polls/:id/vote', authenticateToken, rateLimit('vote'), validate({ params: pollParams, body: voteSchema }), (req, res) => {
+    const { optionId, optionIds } = req.body;
+    const pollId = req.params.id;
+    
+    const username = resolveUsername(req, res, 'username');
+    if (!username) {
+      return;
+    }
+    
+    findOpenPoll(pollId, { user: req.user, shareToken: getShareToken(req) }, (err, poll) => {
+      if (err) {
+        console.error("Error checking poll:", err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      
+      if (!poll) {
+        return res.status(404).json({ error: 'Poll not found or not active' });
+      }
+      
+      if (poll.require_auth === 1 && !req.user) {
+        return res.status(401).json({ error: 'This poll only accepts votes from logged-in users' });
+      }
+      
+      if (poll.allow_vote_change !== 1) {
+        return res.status(403).json({ error: 'This poll does not allow changing votes' });
+      }
+      
+      const { ballot, error } = parseBallot(poll, req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      
+      storage.votes.findBallot(pollId, username).then(previousBallot => {
+        if (previousBallot.length === 0) {
+          return res.status(404).json({ error: 'You have not voted on this poll' });
+        }
+        
+        checkBallotOptions(pollId, ballot, (err, valid) => {
+          if (err) {
+            console.error("Error checking option:", err);
+            return res.status(500).json({ error: 'Database error' });
+          }
+          
+          if (!valid) {
+            return res.status(404).json({ error: 'Option not found' });
+          }
+          
+          // The ballot replaced may differ from the one read above when the voter changed
+          // it again in between: count the change against the one stored
+          storage.votes.write(poll, username, ballot, 'change').then(replaced => {
+            recordBallot(poll, username, ballot, replaced, (err, payload) => {
+              if (err) {
+                console.error("Error getting results:", err);
+                return res.status(500).json({ error: 'Database error' });
+              }
+              
+              res.json({ 
+                success: true, 
+                ...(poll.type === 'single' ? { optionId } : { optionIds }),
+                ...(resultsVisibleTo(poll, req.user, true) ? payload : { pollId })
+              });
+            });
+          }, (err) => {
+            // Retracted by a concurrent request since it was read above
+            if (err.code === 'ENOBALLOT') {
+              return res.status(409).json({ error: 'You have not voted on this poll' });
+            }
+            
+            console.error("Error changing vote:", err);
+            res.status(500).json({ error: 'Database error' });
+          });
+        });
+      }, (err) => {
+        console.error("Error checking existing vote:", err);
+        res.status(500).json({ error: 'Database error' });
+      });
+    });
+  });
+
+  // Retract a vote while the poll is open (polls with allowVoteChange only)
+  app.delete('/api/polls/:id/vote', authenticateToken, rateLimit('vote'), validate({
+    params: pollParams,
+    body: object({ username: optional(string({ max: LIMITS.username })) })
+  }), (req, res) => {
+    const pollId = req.params.id;
+    
+    const username = resolveUsername(req, res, 'username');
+    if (!username) {
+      return;
+    }
+    
+    findOpenPoll(pollId, { user: req.user, shareToken: getShareToken(req) }, (err, poll) => {
+      if (err) {
+        console.error("Error checking poll:", err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      
+      if (!poll) {
+        return res.status(404).json({ error: 'Poll not found or not active' });
+      }
+      
+      if (poll.require_auth === 1 && !req.user) {
+        return res.status(401).json({ error: 'This poll only accepts votes from logged-in users' });
+      }
+      
+      if (poll.allow_vote_change !== 1) {
+        return res.status(403).json({ error: 'This poll does not allow retracting votes' });
+      }
+      
+      storage.votes.findBallot(pollId, username).then(previousBallot => {
+        if (previousBallot.length === 0) {
+          return res.status(404).json({ error: 'You have not voted on this poll' });
+        }
+        
+        storage.votes.write(poll, username, [], 'retract').then(replaced => {
+          recordBallot(poll, username, [], replaced, (err, payload) => {
+            if (err) {
+              console.error("Error getting results:", err);
+              return res.status(500).json({ error: 'Database error' });
+            }
+            
+            res.json({ success: true, ...(resultsVisibleTo(poll, req.user, false) ? payload : { pollId }) });
+          });
+        }, (err) => {
+          // Retracted by a concurrent request since it was read above
+          if (err.code === 'ENOBALLOT') {
+            return res.status(409).json({ error: 'You have not voted on this poll' });
+          }
+          
+          console.error("Error retracting vote:", err);
+          res.status(500).json({ error: 'Database error' });
+        });
+      }, (err) => {
+        console.error("Error checking existing vote:", err);
+        res.status(500).json({ error: 'Database error' });
+      });
+    });
+  });
+
+  // Get the vote change history of a poll (creator, moderators and admins)
+  app.get('/api/polls/:id/vote-history', authenticateToken, validatePollParams, authorizePoll('votes:inspect', 'view the vote history'), (req, res) => {
+    const pollId = req.params.id;
+    
+    storage.votes.history(pollId).then(
+      (rows) => {
+        res.json(rows.map(row => ({
+          username: row.username,
+          action: row.action,
+          optionIds: row.option_ids ? JSON.parse(row.option_ids) : [],
+          previousOptionIds: row.previous_option_ids ? JSON.parse(row.previous_option_ids) : [],
+          recordedAt: row.recorded_at
+        })));
+        auditPollAction(req, 'votes.history');
+      },
+      (err) => {
+        console.error("Error fetching vote history:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Get poll results
+  app.get('/api/polls/:id/results', authenticateToken, validatePollParams, loadVisiblePoll, requireResultsAccess, (req, res) => {
+    getPollResults(req.poll, (err, results) => {
+      if (err) {
+        console.error("Error getting results:", err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      
+      res.json(results);
+    });
+  });
+
+  // Get a poll's vote activity over time (creator, moderators and admins).
+  // ?bucket=minute|hour|day sets the size of the time buckets.
+  app.get('/api/polls/:id/analytics', authenticateToken, validate({
+    params: pollParams,
+    query: object({ bucket: optional(oneOf(Object.keys(ACTIVITY_BUCKETS)), 'hour') })
+  }), authorizePoll('votes:inspect', 'view the analytics'), (req, res) => {
+    getPollAnalytics(req.poll, req.query.bucket, (err, analytics) => {
+      if (err) {
+        console.error("Error getting analytics:", err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      
+      res.json(analytics);
+    });
+  });
+
+  // Export poll tallies as CSV or JSON Lines (?format=csv|jsonl)
+  app.get('/api/polls/:id/export/tallies', authenticateToken, validate({ params: pollParams, query: object(formatQuery) }), loadVisiblePoll, requireResultsAccess, (req, res) => {
+    const pollId = req.poll.id;
+    const { format } = req.query;
+    
+    getPollResults(req.poll, (err, results) => {
+      if (err) {
+        console.error("Error getting results:", err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      
+      const rows = (Array.isArray(results) ? results : results.results).map(result => ({
+        poll_id: pollId,
+        option_id: result.id,
+        option_text: result.text,
+        votes: result.votes
+      }));
+      
+      sendExport(res, rows, ['poll_id', 'option_id', 'option_text', 'votes'], format, `${pollId}-tallies`);
+    });
+  });
+
+  // Export individual vote records as CSV or JSON Lines (creator, moderators and admins).
+  // ?format=csv|jsonl, ?anonymize=true replaces voter names with pseudonyms.
+  app.get('/api/polls/:id/export/votes', authenticateToken, validate({
+    params: pollParams,
+    query: object({ ...formatQuery, ...anonymizeQuery })
+  }), authorizePoll('votes:inspect', 'export votes'), (req, res) => {
+    const pollId = req.poll.id;
+    const { format, anonymize } = req.query;
+    
+    getVoteRecords(req.poll, anonymize, (err, rows) => {
+      if (err) {
+        console.error("Error fetching votes:", err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      
+      auditPollAction(req, 'votes.export', { format, anonymize });
+      sendExport(
+        res,
+        rows,
+        ['poll_id', 'option_id', 'option_text', 'username', 'rank', 'voted_at'],
+        format,
+        `${pollId}-votes`
+      );
+    });
+  });
+
+  // Get a signed audit bundle for a poll (creator, moderators and admins): the poll, its results and every
+  // vote record linked in a hash chain, signed with the server's Ed25519 audit key.
+  // ?anonymize=true replaces voter names with pseudonyms before hashing.
+  app.get('/api/polls/:id/audit-bundle', authenticateToken, validate({
+    params: pollParams,
+    query: object(anonymizeQuery)
+  }), authorizePoll('votes:inspect', 'export an audit bundle'), (req, res) => {
+    const { poll } = req;
+    const pollId = poll.id;
+    const { anonymize } = req.query;
+    
+    getPollDetails(poll, (err, details) => {
+      if (err) {
+        console.error("Error processing poll:", err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      
+      getPollResults(poll, (err, results) => {
+        if (err) {
+          console.error("Error getting results:", err);
+          return res.status(500).json({ error: 'Database error' });
+        }
+        
+        getVoteRecords(poll, anonymize, (err, rows) => {
+          if (err) {
+            console.error("Error fetching votes:", err);
+            return res.status(500).json({ error: 'Database error' });
+          }
+          
+          const chain = buildHashChain(pollId, rows.map(hashChainEntry));
+          
+          storage.auditSeals.findLatest(pollId).then(
+            (seal) => {
+              // The poll's own vote counts are replaced by the type-aware results below
+              const pollSummary = { ...details };
+              delete pollSummary.results;
+              
+              const bundle = {
+                poll: pollSummary,
+                results,
+                votes: chain.records,
+                hashChain: {
+                  algorithm: 'sha256',
+                  genesis: chain.genesis,
+                  head: chain.head,
+                  // Whether the chain still ends at the head sealed when the poll last closed
+                  // (null if it hasn't closed yet, or was reopened since and takes votes
+                  // again: it is sealed anew when it next closes)
+                  matchesSeal: seal && isPollClosed(poll)
+                    ? chain.head === (anonymize ? seal.anonymized_head : seal.head)
+                    : null
+                },
+                seal: seal ? {
+                  pollId: seal.poll_id,
+                  closedAt: seal.closed_at,
+                  voteCount: seal.vote_count,
+                  genesis: seal.genesis,
+                  head: seal.head,
+                  anonymizedHead: seal.anonymized_head,
+                  signature: { algorithm: 'ed25519', publicKey: seal.public_key, value: seal.signature }
+                } : null,
+                anonymized: anonymize,
+                generatedAt: new Date().toISOString()
+              };
+              
+              // The signature covers the JSON of every field above, in this order
+              const signature = crypto.sign(null, Buffer.from(JSON.stringify(bundle)), auditKeys.privateKey);
+              auditPollAction(req, 'votes.auditBundle', { anonymize });
+              
+              res.json({
+                ...bundle,
+                signature: {
+                  algorithm: 'ed25519',
+                  publicKey: auditKeys.publicKey,
+                  value: signature.toString('base64')
+                }
+              });
+            },
+            (err) => {
+              console.error("Error fetching audit seal:", err);
+              res.status(500).json({ error: 'Database error' });
+            }
+          );
+        });
+      });
+    });
+  });
+
+  // Get the public key that verifies audit bundle signatures
+  app.get('/api/audit/public-key', (req, res) => {
+    res.json({ algorithm: 'ed25519', publicKey: auditKeys.publicKey });
+  });
+
+  // Delete a poll (creator, moderators and admins)
+  app.delete('/api/polls/:id', authenticateToken, validatePollParams, authorizePoll('polls:moderate', 'delete this poll'), (req, res) => {
+    deletePoll(req.poll, (err) => {
+      if (err) {
+        console.error("Error deleting poll:", err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      
+      auditPollAction(req, 'poll.delete', { question: req.poll.question, createdBy: req.poll.created_by });
+      
+      res.json({ success: true, message: 'Poll deleted successfully' });
+    });
+  });
+
+  // Pause/Unpause a poll (creator, moderators and admins)
+  app.put('/api/polls/:id/toggle-active', authenticateToken, validatePollParams, authorizePoll('polls:moderate', 'modify this poll'), (req, res) => {
+    const { poll } = req;
+    const pollId = poll.id;
+    
+    // Toggle the poll's active status
+    const newStatus = poll.is_active === 1 ? 0 : 1;
+    
+    storage.polls.update(pollId, { is_active: newStatus }).then(
+      () => {
+        // Notify clients about updated poll status
+        pollAudience(poll).emit('pollStatusUpdated', { 
+          pollId, 
+          isActive: newStatus 
+        });
+        dispatchWebhooks(poll, 'pollStatusUpdated', { pollId, isActive: newStatus });
+        auditPollAction(req, newStatus ? 'poll.resume' : 'poll.pause');
+        
+        // Pausing closes the poll, which publishes its final results
+        if (newStatus === 0) {
+          announcePollClosed({ ...poll, is_active: 0 }, new Date().toISOString());
+        }
+        
+        res.json({ 
+          success: true, 
+          pollId,
+          isActive: newStatus
+        });
+      },
+      (err) => {
+        console.error("Error updating poll status:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Edit a poll's question, options, visibility, results visibility and duplicate-vote check
+  // (creator, moderators and admins).
+  // `options` is the complete new option list in display order: entries with an `id` keep
+  // (and may rename) an existing option, entries without one are added, and existing options
+  // that are left out are removed. Removing an option that has votes requires `force: true`.
+  app.patch('/api/polls/:id', authenticateToken, validate({
+    params: pollParams,
+    body: object({
+      question: optional(string({ max: LIMITS.question })),
+      options: optional(array(
+        object({ id: optional(string({ max: LIMITS.id })), text: string({ max: LIMITS.optionText }) }),
+        { min: 2, max: LIMITS.options, unique: opt => opt.text.toLowerCase() }
+      )),
+      visibility: optional(oneOf(POLL_VISIBILITIES)),
+      resultsVisibility: optional(oneOf(RESULTS_VISIBILITIES)),
+      duplicateCheck: optional(oneOf(DUPLICATE_VOTE_CHECKS)),
+      force: optional(boolean(), false)
+    }, {
+      check: (edit, fail) => {
+        if (['question', 'options', 'visibility', 'resultsVisibility', 'duplicateCheck'].every(key => edit[key] === undefined)) {
+          fail(null, 'Nothing to update');
+        }
+        
+        const keptIds = (edit.options || []).filter(opt => opt.id).map(opt => opt.id);
+        const repeated = keptIds.findIndex((id, index) => keptIds.indexOf(id) !== index);
+        if (repeated !== -1) {
+          fail('options', `option ${keptIds[repeated]} can only appear once`);
+        }
+      }
+    })
+  }), authorizePoll('polls:moderate', 'modify this poll'), (req, res) => {
+    const { poll } = req;
+    const pollId = poll.id;
+    const { question, options, visibility, resultsVisibility, duplicateCheck, force } = req.body;
+    
+    storage.options.listWithVotes(pollId).then(
+      (existingOptions) => {
+        const changes = {};
+        let optionList;
+        let removed = [];
+        
+        if (question !== undefined) {
+          changes.question = question;
+        }
+        
+        if (visibility !== undefined) {
+          changes.visibility = visibility;
+        }
+        
+        if (resultsVisibility !== undefined) {
+          changes.results_visibility = resultsVisibility;
+        }
+        
+        if (duplicateCheck !== undefined) {
+          changes.duplicate_check = duplicateCheck;
+        }
+        
+        if (options !== undefined) {
+          const existingIds = new Set(existingOptions.map(opt => opt.id));
+          const unknown = options.find(opt => opt.id && !existingIds.has(opt.id));
+          if (unknown) {
+            return res.status(404).json({ error: `Option not found: ${unknown.id}` });
+          }
+          
+          // Refuse to silently drop votes
+          const keptIds = new Set(options.filter(opt => opt.id).map(opt => opt.id));
+          removed = existingOptions.filter(opt => !keptIds.has(opt.id));
+          const removedWithVotes = removed.filter(opt => opt.votes > 0);
+          if (removedWithVotes.length > 0 && !force) {
+            return res.status(409).json({
+              error: 'Removing options that have votes requires force: true',
+              optionIds: removedWithVotes.map(opt => opt.id)
+            });
+          }
+          
+          // New options continue the option-<pollId>-<n> numbering
+          const prefix = `option-${pollId}-`;
+          let nextNumber = existingOptions.reduce((max, opt) => {
+            const number = Number(opt.id.slice(prefix.length));
+            return opt.id.startsWith(prefix) && number > max ? number : max;
+          }, existingOptions.length) + 1;
+          
+          optionList = options.map(opt => (
+            opt.id ? { id: opt.id, text: opt.text } : { id: `${prefix}${nextNumber++}`, text: opt.text, isNew: true }
+          ));
+        }
+        
+        storage.polls.edit(poll, { changes, options: optionList, removedOptionIds: removed.map(opt => opt.id) })
+          .then(() => storage.polls.findById(pollId))
+          .then(
+            (updatedPoll) => {
+              getPollDetails(updatedPoll, (err, details) => {
+                if (err) {
+                  console.error("Error processing poll:", err);
+                  return res.status(500).json({ error: 'Database error' });
+                }
+                
+                // Notify clients about the new poll shape
+                pollAudience(updatedPoll).emit(
+                  'pollUpdated',
+                  resultsVisibleTo(updatedPoll, null, false) ? details : hideResults(details)
+                );
+                dispatchWebhooks(updatedPoll, 'pollUpdated', details);
+                auditPollAction(req, 'poll.edit', { question, options, visibility, resultsVisibility, duplicateCheck, force });
+                
+                // The live results list the new options (and lose the removed votes)
+                if (optionList) {
+                  reloadTally(updatedPoll);
+                }
+                
+                res.json(details);
+              });
+            },
+            (err) => {
+              if (err.code === 'ESELECTIONS') {
+                return res.status(409).json({
+                  error: `Removing these options would leave ${err.ballots} ballot(s) with fewer choices than this poll requires`,
+                  optionIds: removed.map(opt => opt.id)
+                });
+              }
+              
+              console.error("Error updating poll:", err);
+              res.status(500).json({ error: 'Database error' });
+            }
+          );
+      },
+      (err) => {
+        console.error("Error fetching options:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Update poll timing (creator, moderators and admins)
+  app.put('/api/polls/:id/timing', authenticateToken, validate({
+    params: pollParams,
+    body: object({
+      startAt: optional(nullable(timestamp()), null),
+      activeUntil: optional(nullable(timestamp()), null)
+    }, {
+      check: ({ startAt, activeUntil }, fail) => {
+        if (startAt && activeUntil && activeUntil <= startAt) {
+          fail('activeUntil', 'must be after startAt');
+        }
+      }
+    })
+  }), authorizePoll('polls:moderate', 'modify this poll'), (req, res) => {
+    const pollId = req.poll.id;
+    const { startAt, activeUntil } = req.body;
+    
+    storage.polls.update(pollId, { start_at: startAt || null, active_until: activeUntil || null }).then(
+      () => {
+        // Notify clients about updated poll timing
+        const timing = { 
+          pollId, 
+          startAt: startAt || null,
+          activeUntil: activeUntil || null
+        };
+        pollAudience(req.poll).emit('pollTimingUpdated', timing);
+        dispatchWebhooks(req.poll, 'pollTimingUpdated', timing);
+        auditPollAction(req, 'poll.timing', { startAt: startAt || null, activeUntil: activeUntil || null });
+        
+        // Re-arm the lifecycle timers for the new window, or close the poll now when the
+        // window has already ended (unless that closing was announced before)
+        schedulePoll({
+          id: pollId,
+          start_at: startAt || null,
+          active_until: activeUntil || null
+        });
+        if (activeUntil && activeUntil <= new Date().toISOString() &&
+            !(req.poll.closed_at && req.poll.closed_at >= activeUntil)) {
+          handlePollClosed(pollId, activeUntil);
+        }
+        
+        res.json({ 
+          success: true, 
+          pollId,
+          startAt: startAt || null,
+          activeUntil: activeUntil || null
+        });
+      },
+      (err) => {
+        console.error("Error updating poll timing:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Create a share token for a poll, replacing any previous one (creator, moderators and
+  // admins). Anyone sending the token as ?shareToken= or an X-Share-Token header can see
+  // and vote in the poll, even when it's private.
+  app.post('/api/polls/:id/share-token', authenticateToken, validatePollParams, authorizePoll('polls:moderate', 'share this poll'), (req, res) => {
+    const pollId = req.poll.id;
+    const shareToken = crypto.randomBytes(24).toString('base64url');
+    
+    storage.polls.update(pollId, { share_token: shareToken }).then(
+      () => {
+        auditPollAction(req, 'poll.shareToken.create');
+        res.status(201).json({ pollId, shareToken });
+      },
+      (err) => {
+        console.error("Error creating share token:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Revoke a poll's share token (creator, moderators and admins)
+  app.delete('/api/polls/:id/share-token', authenticateToken, validatePollParams, authorizePoll('polls:moderate', 'share this poll'), (req, res) => {
+    const pollId = req.poll.id;
+    
+    storage.polls.update(pollId, { share_token: null }).then(
+      () => {
+        auditPollAction(req, 'poll.shareToken.revoke');
+        res.json({ success: true, pollId });
+      },
+      (err) => {
+        console.error("Error revoking share token:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // List the users invited to a poll (creator, moderators and admins)
+  app.get('/api/polls/:id/invites', authenticateToken, validatePollParams, authorizePoll('polls:moderate', 'manage invites'), (req, res) => {
+    storage.invites.list(req.poll.id).then(
+      (rows) => {
+        res.json(rows.map(row => ({ username: row.username, invitedAt: row.created_at })));
+      },
+      (err) => {
+        console.error("Error fetching invites:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Invite users to a poll: { usernames: [...] } (creator, moderators and admins)
+  app.post('/api/polls/:id/invites', authenticateToken, validate({
+    params: pollParams,
+    body: object({ usernames: array(string({ max: LIMITS.username }), { min: 1, max: LIMITS.invites }) })
+  }), authorizePoll('polls:moderate', 'manage invites'), (req, res) => {
+    const { poll } = req;
+    const invited = [...new Set(req.body.usernames)];
+    const invitedAt = new Date().toISOString();
+    
+    storage.invites.add(poll.id, invited, invitedAt).then(
+      () => {
+        invited.forEach(username => {
+          notifyUser(username, 'pollInvite', { pollId: poll.id, question: poll.question, invitedBy: req.user.username });
+        });
+        auditPollAction(req, 'poll.invite', { usernames: invited });
+        
+        res.status(201).json({ success: true, pollId: poll.id, invited });
+      },
+      (err) => {
+        console.error("Error inviting users:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Withdraw a user's invite to a poll (creator, moderators and admins)
+  app.delete('/api/polls/:id/invites/:username', authenticateToken, validate({
+    params: object({ id: string({ max: LIMITS.id }), username: string({ max: LIMITS.username }) })
+  }), authorizePoll('polls:moderate', 'manage invites'), (req, res) => {
+    const { username } = req.params;
+    
+    storage.invites.remove(req.poll.id, username).then(
+      (removed) => {
+        if (!removed) {
+          return res.status(404).json({ error: 'Invite not found' });
+        }
+        
+        auditPollAction(req, 'poll.uninvite', { username });
+        res.json({ success: true, pollId: req.poll.id, username });
+      },
+      (err) => {
+        console.error("Error removing invite:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  const webhookParams = object({ id: integer({ min: 1, coerce: true }) });
+
+  // Format a webhook row for the API (the secret is only returned when it is created)
+  const formatWebhook = (webhook) => ({
+    id: webhook.id,
+    url: webhook.url,
+    events: JSON.parse(webhook.events),
+    allPolls: webhook.all_polls === 1,
+    active: webhook.active === 1,
+    createdAt: webhook.created_at
+  });
+
+  // Format a webhook delivery row for the API
+  const formatDelivery = (delivery) => ({
+    id: delivery.id,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    statusCode: delivery.status_code,
+    error: delivery.error,
+    nextAttemptAt: delivery.next_attempt_at,
+    lastAttemptAt: delivery.last_attempt_at,
+    createdAt: delivery.created_at,
+    payload: JSON.parse(delivery.payload)
+  });
+
+  // Middleware: load the authenticated user's webhook named by :id into req.webhook
+  const loadWebhook = (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    storage.webhooks.find(req.params.id, req.user.username).then(
+      (webhook) => {
+        if (!webhook) {
+          return res.status(404).json({ error: 'Webhook not found' });
+        }
+        
+        req.webhook = webhook;
+        next();
+      },
+      (err) => {
+        console.error("Error fetching webhook:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  };
+
+  // Middleware: refuse a webhook url (in the request body, if any) whose host resolves to a
+  // loopback, private or link-local address
+  const checkWebhookDestination = (req, res, next) => {
+    if (!req.user || req.body.url === undefined) {
+      return next();
+    }
+    
+    resolveDestination(req.body.url, { allowedHosts: WEBHOOK_ALLOWED_HOSTS }).then(
+      () => next(),
+      (err) => {
+        const message = err.code === 'EDESTINATION'
+          ? 'must not point to a loopback, private or link-local address'
+          : 'has a host that could not be resolved';
+        res.status(400).json(validationError([{ field: 'url', message }]));
+      }
+    );
+  };
+
+  // List the authenticated user's webhooks
+  app.get('/api/webhooks', authenticateToken, (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    storage.webhooks.list(req.user.username).then(
+      (webhooks) => {
+        res.json(webhooks.map(formatWebhook));
+      },
+      (err) => {
+        console.error("Error fetching webhooks:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Subscribe a URL to events: { url, events? (default all), allPolls? (moderators and
+  // admins: every poll rather than only the user's own) }. The signing secret is only
+  // returned in this response.
+  app.post('/api/webhooks', authenticateToken, validate({
+    body: object({
+      url: httpUrl(),
+      events: optional(webhookEventsSchema, WEBHOOK_EVENTS),
+      allPolls: optional(boolean(), false)
+    })
+  }), checkWebhookDestination, (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    const { url, events, allPolls } = req.body;
+    
+    if (allPolls && !hasPermission(req.user, 'polls:moderate')) {
+      return res.status(403).json({ error: 'Only moderators and admins can subscribe to every poll' });
+    }
+    
+    const secret = crypto.randomBytes(32).toString('hex');
+    const createdAt = new Date().toISOString();
+    
+    storage.webhooks.create({
+      username: req.user.username,
+      url,
+      secret,
+      events: JSON.stringify(events),
+      allPolls,
+      createdAt
+    }).then(
+      (id) => {
+        res.status(201).json({
+          ...formatWebhook({
+            id,
+            url,
+            events: JSON.stringify(events),
+            all_polls: allPolls ? 1 : 0,
+            active: 1,
+            created_at: createdAt
+          }),
+          secret
+        });
+      },
+      (err) => {
+        console.error("Error creating webhook:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Update a webhook: { url?, events?, active? }. Deactivating it fails its pending deliveries.
+  app.patch('/api/webhooks/:id', authenticateToken, validate({
+    params: webhookParams,
+    body: object({
+      url: optional(httpUrl()),
+      events: optional(webhookEventsSchema),
+      active: optional(boolean())
+    })
+  }), loadWebhook, checkWebhookDestination, (req, res) => {
+    const { url, events, active } = req.body;
+    
+    const webhook = {
+      ...req.webhook,
+      url: url !== undefined ? url : req.webhook.url,
+      events: events !== undefined ? JSON.stringify(events) : req.webhook.events,
+      active: active !== undefined ? (active ? 1 : 0) : req.webhook.active
+    };
+    
+    storage.webhooks.update(webhook.id, webhook).then(
+      () => {
+        res.json(formatWebhook(webhook));
+      },
+      (err) => {
+        console.error("Error updating webhook:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Delete a webhook and its delivery log
+  app.delete('/api/webhooks/:id', authenticateToken, validate({ params: webhookParams }), loadWebhook, (req, res) => {
+    storage.webhooks.remove(req.webhook.id).then(
+      () => {
+        res.json({ success: true, webhookId: req.webhook.id });
+      },
+      (err) => {
+        console.error("Error deleting webhook:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // A webhook's delivery log, newest first (?limit, default 50; ?status to filter)
+  app.get('/api/webhooks/:id/deliveries', authenticateToken, validate({
+    params: webhookParams,
+    query: object({
+      limit: optional(integer({ min: 1, max: 500, coerce: true }), 50),
+      status: optional(oneOf(['pending', 'delivered', 'failed']))
+    })
+  }), loadWebhook, (req, res) => {
+    const { limit, status } = req.query;
+    
+    storage.webhooks.listDeliveries(req.webhook.id, { status, limit }).then(
+      (deliveries) => {
+        res.json(deliveries.map(formatDelivery));
+      },
+      (err) => {
+        console.error("Error fetching webhook deliveries:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Send a test 'ping' event to a webhook and report the outcome of the first attempt
+  // (failed pings are retried like any other delivery)
+  app.post('/api/webhooks/:id/test', authenticateToken, validate({ params: webhookParams }), loadWebhook, (req, res) => {
+    if (req.webhook.active !== 1) {
+      return res.status(409).json({ error: 'Webhook is disabled' });
+    }
+    
+    queueDelivery(req.webhook.id, 'ping', { webhookId: req.webhook.id, sentBy: req.user.username }, (err, delivery) => {
+      if (err || !delivery) {
+        console.error("Error sending test webhook:", err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      
+      res.json(formatDelivery(delivery));
+    });
+  });
+
+  const templateParams = object({ id: integer({ min: 1, coerce: true }) });
+
+  // Schema of a poll template: a name, the question, options and settings of a poll
+  // definition, and the default duration of the polls created from it (null: open-ended)
+  const templateSchema = object({
+    name: string({ max: LIMITS.templateName }),
+    ...pollTemplateFields,
+    durationMinutes: optional(nullable(integer({ min: 1, max: MAX_POLL_DURATION_MINUTES })), null)
+  });
+
+  // Validate a poll template; its settings are checked like those of a new poll.
+  // Returns { template } (a poll_templates row without the IDs and times) or { errors }.
+  const validateTemplate = (input) => {
+    const { value, errors } = check(templateSchema, input);
+    if (errors) {
+      return { errors };
+    }
+    
+    const { name, durationMinutes, question, options, ...settings } = value;
+    const definition = validatePollDefinition({ question, options, ...settings });
+    if (definition.errors) {
+      return { errors: definition.errors };
+    }
+    
+    return {
+      template: {
+        name,
+        question,
+        options: JSON.stringify(options),
+        duration_minutes: durationMinutes,
+        settings: JSON.stringify(settings)
+      }
+    };
+  };
+
+  // Format a poll template row for the API
+  const formatTemplate = (template) => ({
+    id: template.id,
+    name: template.name,
+    question: template.question,
+    options: JSON.parse(template.options),
+    durationMinutes: template.duration_minutes,
+    ...JSON.parse(template.settings),
+    createdAt: template.created_at,
+    updatedAt: template.updated_at
+  });
+
+  // Middleware: load the authenticated user's poll template named by :id into req.template
+  const loadTemplate = (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    storage.templates.find(req.params.id, req.user.username).then(
+      (template) => {
+        if (!template) {
+          return res.status(404).json({ error: 'Template not found' });
+        }
+        
+        req.template = template;
+        next();
+      },
+      (err) => {
+        console.error("Error fetching template:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  };
+
+  // List the authenticated user's poll templates by name
+  app.get('/api/templates', authenticateToken, (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    storage.templates.list(req.user.username).then(
+      (templates) => {
+        res.json(templates.map(formatTemplate));
+      },
+      (err) => {
+        console.error("Error fetching templates:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Save a poll template: { name, question, options, durationMinutes?, ...settings } with
+  // the settings of POST /api/polls. Names are unique per user.
+  app.post('/api/templates', authenticateToken, (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    const { template, errors } = validateTemplate(req.body);
+    if (errors) {
+      return res.status(400).json(validationError(errors));
+    }
+    
+    const now = new Date().toISOString();
+    
+    storage.templates.create({
+      username: req.user.username,
+      name: template.name,
+      question: template.question,
+      options: template.options,
+      durationMinutes: template.duration_minutes,
+      settings: template.settings,
+      createdAt: now
+    }).then(
+      (id) => {
+        res.status(201).json(formatTemplate({ ...template, id, created_at: now, updated_at: now }));
+      },
+      (err) => {
+        if (err.code === 'SQLITE_CONSTRAINT') {
+          return res.status(409).json({ error: 'You already have a template with this name' });
+        }
+        
+        console.error("Error creating template:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Get one of the authenticated user's poll templates
+  app.get('/api/templates/:id', authenticateToken, validate({ params: templateParams }), loadTemplate, (req, res) => {
+    res.json(formatTemplate(req.template));
+  });
+
+  // Replace a poll template (same body as POST /api/templates)
+  app.put('/api/templates/:id', authenticateToken, validate({ params: templateParams }), loadTemplate, (req, res) => {
+    const { template, errors } = validateTemplate(req.body);
+    if (errors) {
+      return res.status(400).json(validationError(errors));
+    }
+    
+    const updated = { ...req.template, ...template, updated_at: new Date().toISOString() };
+    
+    storage.templates.update(updated.id, {
+      name: updated.name,
+      question: updated.question,
+      options: updated.options,
+      durationMinutes: updated.duration_minutes,
+      settings: updated.settings,
+      updatedAt: updated.updated_at
+    }).then(
+      () => {
+        res.json(formatTemplate(updated));
+      },
+      (err) => {
+        if (err.code === 'SQLITE_CONSTRAINT') {
+          return res.status(409).json({ error: 'You already have a template with this name' });
+        }
+        
+        console.error("Error updating template:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Delete a poll template (polls created from it are kept)
+  app.delete('/api/templates/:id', authenticateToken, validate({ params: templateParams }), loadTemplate, (req, res) => {
+    storage.templates.remove(req.template.id).then(
+      () => {
+        res.json({ success: true, templateId: req.template.id });
+      },
+      (err) => {
+        console.error("Error deleting template:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Create a poll from a poll template (see pollCopySchema for the body). Without new
+  // timing the poll starts now and runs for the template's duration.
+  app.post('/api/templates/:id/polls', authenticateToken, rateLimit('create'), validate({
+    params: templateParams,
+    body: pollCopySchema
+  }), loadTemplate, (req, res) => {
+    const { template } = req;
+    
+    createPoll(res, {
+      question: req.body.question !== undefined ? req.body.question : template.question,
+      options: JSON.parse(template.options),
+      ...JSON.parse(template.settings),
+      ...copyTiming(req.body, template.duration_minutes)
+    }, req.user.username);
+  });
+
+  // Admin: list users with their roles
+  app.get('/api/admin/users', authenticateToken, requirePermission('users:manage'), (req, res) => {
+    storage.users.list().then(
+      (users) => {
+        res.json(users.map(user => ({
+          id: user.id,
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          disabled: user.disabled === 1,
+          createdAt: user.created_at
+        })));
+      },
+      (err) => {
+        console.error("Error fetching users:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  const userParams = object({ id: integer({ min: 1, coerce: true }) });
+
+  // Admin: update one column of another user's account and sign them out everywhere,
+  // so their next token carries the change
+  const updateUserAccount = (req, res, column, value, action) => {
+    const userId = req.params.id;
+    
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own account' });
+    }
+    
+    storage.users.update(userId, { [column]: value }).then(
+      (changes) => {
+        if (changes === 0) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        
+        revokeSessions({ userId }, (err) => {
+          if (err) {
+            console.error("Error revoking sessions:", err);
+            return res.status(500).json({ error: 'Database error' });
+          }
+          
+          recordAudit(req.user.username, action, 'user', userId, { [column]: value });
+          res.json({ success: true, userId, [column]: value });
+        });
+      },
+      (err) => {
+        console.error("Error updating user:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  };
 
-// Get a specific poll
-app.get('/api/polls/:id', (req, res) => {
-  const pollId = req.params.id;
-  
-  db.get(`SELECT * FROM polls WHERE id = ?`, [pollId], (err, poll) => {
-    if (err) {
-      console.error("Error fetching poll:", err);
-      return res.status(500).json({ error: 'Database error' });
-    }
+  // Admin: disable or re-enable a user ({ disabled: true|false }).
+  // Disabled users can't log in and their sessions are revoked.
+  app.put('/api/admin/users/:id/disabled', authenticateToken, requirePermission('users:manage'), validate({
+    params: userParams,
+    body: object({ disabled: boolean() })
+  }), (req, res) => {
+    const { disabled } = req.body;
+    
+    updateUserAccount(req, res, 'disabled', disabled ? 1 : 0, disabled ? 'user.disable' : 'user.enable');
+  });
+
+  // Admin: change a user's role ({ role: 'user' | 'moderator' | 'admin' })
+  app.put('/api/admin/users/:id/role', authenticateToken, requirePermission('users:manage'), validate({
+    params: userParams,
+    body: object({ role: oneOf(ROLES) })
+  }), (req, res) => {
+    const { role } = req.body;
+    
+    updateUserAccount(req, res, 'role', role, 'user.role');
+  });
+
+  // Moderation: close any poll now, publishing its final results
+  app.post('/api/admin/polls/:id/close', authenticateToken, requirePermission('polls:moderate'), validatePollParams, loadPoll, (req, res) => {
+    const { poll } = req;
+    const closedAt = new Date().toISOString();
     
-    if (!poll) {
-      return res.status(404).json({ error: 'Poll not found' });
+    if (poll.active_until && poll.active_until <= closedAt) {
+      return res.status(409).json({ error: 'Poll has already ended' });
     }
     
-    // Get options for this poll
-    db.all(`SELECT * FROM options WHERE poll_id = ?`, [pollId], (err, options) => {
+    storage.polls.update(poll.id, { active_until: closedAt }).then(
+      () => {
+        unschedulePoll(poll.id);
+        const timing = { pollId: poll.id, startAt: poll.start_at, activeUntil: closedAt };
+        pollAudience(poll).emit('pollTimingUpdated', timing);
+        dispatchWebhooks(poll, 'pollTimingUpdated', timing);
+        handlePollClosed(poll.id, closedAt);
+        recordAudit(req.user.username, 'poll.forceClose', 'poll', poll.id, { previousActiveUntil: poll.active_until });
+        
+        res.json({ success: true, pollId: poll.id, activeUntil: closedAt });
+      },
+      (err) => {
+        console.error("Error closing poll:", err);
+        res.status(500).json({ error: 'Database error' });
+      }
+    );
+  });
+
+  // Moderation: delete any poll
+  app.delete('/api/admin/polls/:id', authenticateToken, requirePermission('polls:moderate'), validatePollParams, loadPoll, (req, res) => {
+    const { poll } = req;
+    
+    deletePoll(poll, (err) => {
       if (err) {
-        console.error("Error fetching options:", err);
+        console.error("Error deleting poll:", err);
         return res.status(500).json({ error: 'Database error' });
       }
       
-      // Get vote counts for each option
-      const promises = options.map(option => {
-        return new Promise((resolve, reject) => {
-          db.get(`SELECT COUNT(*) as votes FROM votes WHERE option_id = ?`, [option.id], (err, result) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-            
-            resolve({
-              id: option.id,
-              text: option.text,
-              votes: result.votes
-            });
-          });
-        });
-      });
+      recordAudit(req.user.username, 'poll.delete', 'poll', poll.id, { question: poll.question, createdBy: poll.created_by });
+      res.json({ success: true, message: 'Poll deleted successfully' });
+    });
+  });
+
+  // Moderation: inspect the individual votes of any poll
+  app.get('/api/admin/polls/:id/votes', authenticateToken, requirePermission('votes:inspect'), validatePollParams, loadPoll, (req, res) => {
+    getVoteRecords(req.poll, false, (err, rows) => {
+      if (err) {
+        console.error("Error fetching votes:", err);
+        return res.status(500).json({ error: 'Database error' });
+      }
       
-      Promise.all(promises)
-        .then(results => {
-          // Check poll timing
-          const now = new Date().toISOString();
-          const isStarted = !poll.start_at || poll.start_at <= now;
-          const isActive = poll.is_active === 1 && (!poll.active_until || poll.active_until >= now);
-          
-          res.json({
-            id: poll.id,
-            question: poll.question,
-            options: options.map(opt => ({ id: opt.id, text: opt.text })),
-            results: results,
-            createdBy: poll.created_by,
-            createdAt: poll.created_at,
-            startAt: poll.start_at,
-            activeUntil: poll.active_until,
-            isActive: poll.is_active === 1,
-            isStarted,
-            hasEnded: poll.active_until && poll.active_until < now
-          });
-        })
-        .catch(err => {
-          console.error("Error processing poll:", err);
-          res.status(500).json({ error: 'Database error' });
-        });
+      recordAudit(req.user.username, 'votes.inspect', 'poll', req.poll.id);
+      // Secret ballots only have their anonymous ballot ID
+      const voterKey = req.poll.secret_ballot === 1 ? 'ballotId' : 'username';
+      res.json(rows.map(row => ({
+        optionId: row.option_id,
+        optionText: row.option_text,
+        [voterKey]: row.username,
+        rank: row.rank,
+        votedAt: row.voted_at
+      })));
     });
   });
-});
 
-// Create a new poll
-app.post('/api/polls', authenticateToken, (req, res) => {
-  const { question, options, startAt, activeUntil } = req.body;
-  let createdBy;
-  
-  if (req.user) {
-    // If authenticated, use the username from the token
-    createdBy = req.user.username;
-  } else {
-    // For backward compatibility, get from request body
-    createdBy = req.body.createdBy;
-    if (!createdBy) {
-      return res.status(400).json({ error: 'createdBy is required when not authenticated' });
-    }
-  }
-  
-  // Validate request
-  if (!question || !options || options.length < 2) {
-    return res.status(400).json({ error: 'Invalid poll data' });
-  }
-  
-  // Generate unique poll ID
-  const pollId = 'poll-' + Math.random().toString(36).substr(2, 9);
-  const createdAt = new Date().toISOString();
-  
-  // Start a database transaction
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
-    
-    // Insert poll
-    db.run(
-      `INSERT INTO polls (id, question, created_by, created_at, start_at, active_until, is_active) 
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [pollId, question, createdBy, createdAt, startAt || null, activeUntil || null, 1],
-      function(err) {
-        if (err) {
-          console.error("Error creating poll:", err);
-          db.run('ROLLBACK');
-          return res.status(500).json({ error: 'Database error' });
-        }
-        
-        // Insert options
-        const optionPromises = options.map((text, index) => {
-          return new Promise((resolve, reject) => {
-            const optionId = `option-${pollId}-${index + 1}`;
-            db.run(
-              `INSERT INTO options (id, poll_id, text) VALUES (?, ?, ?)`,
-              [optionId, pollId, text],
-              function(err) {
-                if (err) {
-                  reject(err);
-                  return;
-                }
-                resolve({
-                  id: optionId,
-                  text: text
-                });
-              }
-            );
-          });
-        });
-        
-        Promise.all(optionPromises)
-          .then(insertedOptions => {
-            // Commit transaction
-            db.run('COMMIT');
-            
-            // Create poll object to return
-            const poll = {
-              id: pollId,
-              question,
-              options: insertedOptions,
-              results: insertedOptions.map(opt => ({
-                id: opt.id,
-                text: opt.text,
-                votes: 0
-              })),
-              createdBy,
-              createdAt,
-              startAt: startAt || null,
-              activeUntil: activeUntil || null,
-              isActive: 1
-            };
-            
-            // Notify all clients about new poll
-            io.emit('pollCreated', poll);
-            
-            res.status(201).json(poll);
-          })
-          .catch(err => {
-            console.error("Error inserting options:", err);
-            db.run('ROLLBACK');
-            res.status(500).json({ error: 'Database error' });
-          });
+  // Admin: read the audit log, newest first (?limit, default 100; ?actor, ?targetId to filter)
+  app.get('/api/admin/audit-log', authenticateToken, requirePermission('users:manage'), validate({
+    query: object({
+      limit: optional(integer({ min: 1, max: 1000, coerce: true }), 100),
+      actor: optional(string({ max: LIMITS.username })),
+      targetId: optional(string({ max: LIMITS.id }))
+    })
+  }), (req, res) => {
+    const { limit, actor, targetId } = req.query;
+    
+    storage.auditLog.list({ actor, targetId, limit }).then(
+      (rows) => {
+        res.json(rows.map(row => ({
+          id: row.id,
+          actor: row.actor,
+          action: row.action,
+          targetType: row.target_type,
+          targetId: row.target_id,
+          details: row.details ? JSON.parse(row.details) : null,
+          createdAt: row.created_at
+        })));
+      },
+      (err) => {
+        console.error("Error fetching audit log:", err);
+        res.status(500).json({ error: 'Database error' });
       }
     );
   });
-});
 
-// Submit a vote - respect poll timing restrictions
-app.post('/api/polls/:id/vote', authenticateToken, (req, res) => {
-  let username;
-  const { optionId } = req.body;
-  const pollId = req.params.id;
+  // Unknown API routes
+  app.use('/api', (req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
   
-  if (req.user) {
-    // If authenticated, use the username from the token
-    username = req.user.username;
-  } else {
-    // For backward compatibility, get from request body
-    username = req.body.username;
-    if (!username) {
-      return res.status(400).json({ error: 'username is required when not authenticated' });
+  // Malformed and oversized request bodies, and anything a handler threw
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Request body is not valid JSON', code: 'invalid_json' });
     }
-  }
-  
-  // Validate request
-  if (!optionId) {
-    return res.status(400).json({ error: 'Option ID is required' });
-  }
-  
-  // Check if poll exists and is active
-  const now = new Date().toISOString();
-  db.get(
-    `SELECT * FROM polls WHERE id = ? AND 
-     is_active = 1 AND
-     (start_at IS NULL OR start_at <= ?) AND
-     (active_until IS NULL OR active_until >= ?)`, 
-    [pollId, now, now], 
-    (err, poll) => {
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ error: 'Request body is too large' });
+    }
+    
+    console.error("Unhandled error:", err);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  // Socket.IO handshake authentication, using the same JWT as the REST API.
+  // The token is read from `auth.token` (or the `token` query parameter); in strict mode
+  // connections without a valid token are refused.
+  io.use((socket, next) => {
+    const { auth, query } = socket.handshake;
+    const token = (auth && auth.token) || query.token;
+    
+    if (!token) {
+      if (STRICT_AUTH) {
+        return next(new Error('Authentication required'));
+      }
+      socket.data.user = null;
+      return next();
+    }
+    
+    verifyAccessToken(token, (err, user) => {
       if (err) {
-        console.error("Error checking poll:", err);
-        return res.status(500).json({ error: 'Database error' });
+        if (STRICT_AUTH) {
+          return next(new Error('Invalid or expired token'));
+        }
+        socket.data.user = null;
+        return next();
       }
+      socket.data.user = user;
+      socket.data.token = token;
+      next();
+    });
+  });
+
+  // Socket.IO handling
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    console.log('New client connected');
+    
+    // Authenticated sockets receive personal notifications in their own room, and are
+    // disconnected when their session is revoked (see revokeSessions) or their token expires
+    // (tokens that outlive a timer are still checked on each vote)
+    let expiry;
+    if (user) {
+      socket.join([`user:${user.username}`, `session:${user.sid}`]);
       
-      if (!poll) {
-        return res.status(404).json({ error: 'Poll not found or not active' });
+      const remaining = user.exp * 1000 - Date.now();
+      if (remaining <= MAX_TIMER_DELAY) {
+        expiry = setTimeout(() => socket.disconnect(true), Math.max(0, remaining));
       }
+    }
+    
+    // Join a poll room for real-time updates: either the poll ID, or { pollId, shareToken }
+    // for private polls (optional ack reports whether it worked)
+    socket.on('joinPoll', (data, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      const { pollId, shareToken } = typeof data === 'object' && data !== null ? data : { pollId: data };
       
-      // Check if user has already voted on this poll
-      db.get(`SELECT * FROM votes WHERE poll_id = ? AND username = ?`, [pollId, username], (err, existingVote) => {
-        if (err) {
-          console.error("Error checking existing vote:", err);
-          return res.status(500).json({ error: 'Database error' });
-        }
-        
-        if (existingVote) {
-          return res.status(400).json({ error: 'You have already voted on this poll' });
+      storage.polls.findById(pollId).then(poll => {
+        if (!poll) {
+          return respond({ success: false, error: 'Poll not found' });
         }
         
-        // Check if option exists
-        db.get(`SELECT * FROM options WHERE id = ? AND poll_id = ?`, [optionId, pollId], (err, option) => {
+        checkPollAccess(poll, user, shareToken, (err, allowed) => {
           if (err) {
-            console.error("Error checking option:", err);
-            return res.status(500).json({ error: 'Database error' });
+            console.error("Error checking poll access:", err);
+            return respond({ success: false, error: 'Database error' });
           }
           
-          if (!option) {
-            return res.status(404).json({ error: 'Option not found' });
+          if (!allowed) {
+            return respond({ success: false, error: 'Poll not found' });
           }
           
-          // Record vote
-          const votedAt = new Date().toISOString();
-          db.run(
-            `INSERT INTO votes (poll_id, option_id, username, voted_at) VALUES (?, ?, ?, ?)`,
-            [pollId, optionId, username, votedAt],
-            function(err) {
-              if (err) {
-                console.error("Error recording vote:", err);
-                return res.status(500).json({ error: 'Database error' });
-              }
-              
-              // Get updated results
-              db.all(
-                `SELECT o.id, o.text, COUNT(v.id) as votes 
-                 FROM options o 
-                 LEFT JOIN votes v ON o.id = v.option_id 
-                 WHERE o.poll_id = ? 
-                 GROUP BY o.id`,
-                [pollId],
-                (err, results) => {
-                  if (err) {
-                    console.error("Error getting results:", err);
-                    return res.status(500).json({ error: 'Database error' });
-                  }
-                  
-                  // Notify all clients about updated results
-                  io.to(pollId).emit('resultsUpdated', {
-                    pollId,
-                    results
-                  });
-                  
-                  res.json({ 
-                    success: true, 
-                    pollId,
-                    optionId,
-                    results
-                  });
-                }
-              );
-            }
-          );
+          socket.join(pollId);
+          console.log(`Client joined poll: ${pollId}`);
+          respond({ success: true, pollId });
         });
+      }, (err) => {
+        console.error("Error checking poll:", err);
+        respond({ success: false, error: 'Database error' });
       });
-    }
-  );
-});
-
-// Get poll results
-app.get('/api/polls/:id/results', (req, res) => {
-  const pollId = req.params.id;
-  
-  db.get(`SELECT * FROM polls WHERE id = ?`, [pollId], (err, poll) => {
-    if (err) {
-      console.error("Error checking poll:", err);
-      return res.status(500).json({ error: 'Database error' });
-    }
+    });
     
-    if (!poll) {
-      return res.status(404).json({ error: 'Poll not found' });
-    }
+    // Leave a poll
+    socket.on('leavePoll', (pollId) => {
+      socket.leave(pollId);
+      console.log(`Client left poll: ${pollId}`);
+    });
     
-    // Get results
-    db.all(
-      `SELECT o.id, o.text, COUNT(v.id) as votes 
-       FROM options o 
-       LEFT JOIN votes v ON o.id = v.option_id 
-       WHERE o.poll_id = ? 
-       GROUP BY o.id`,
-      [pollId],
-      (err, results) => {
-        if (err) {
-          console.error("Error getting results:", err);
-          return res.status(500).json({ error: 'Database error' });
-        }
-        
-        res.json(results);
-      }
-    );
-  });
-});
-
-// Delete a poll (creator only)
-app.delete('/api/polls/:id', authenticateToken, (req, res) => {
-  const pollId = req.params.id;
-  
-  // Must be authenticated to delete a poll
-  if (!req.user) {
-    return res.status(401).json({ error: 'Authentication required to delete a poll' });
-  }
-  
-  // Check if poll exists and user is the creator
-  db.get(
-    `SELECT * FROM polls WHERE id = ?`, 
-    [pollId], 
-    (err, poll) => {
-      if (err) {
-        console.error("Error checking poll:", err);
-        return res.status(500).json({ error: 'Database error' });
+    // Cast a vote over the socket: { pollId, optionId | optionIds, shareToken? }, acknowledged with
+    // the same body the REST vote route returns, or { success: false, status, error }
+    socket.on('vote', (data, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      
+      if (!user) {
+        return respond({ success: false, status: 401, error: 'Authentication required to vote over the socket' });
       }
       
-      if (!poll) {
-        return res.status(404).json({ error: 'Poll not found' });
+      if (consumeRateLimit('vote', [`ip:${socket.handshake.address}`, `user:${user.username}`])) {
+        return respond({ success: false, status: 429, error: 'Too many requests, please try again later' });
       }
       
-      // Check if user is the creator
-      if (poll.created_by !== req.user.username) {
-        return res.status(403).json({ error: 'Only the poll creator can delete this poll' });
+      // The session may have been revoked or the account disabled since the handshake
+      verifyAccessToken(socket.data.token, (err) => {
+        if (err) {
+          respond({ success: false, status: 401, error: 'Invalid or expired token' });
+          return socket.disconnect(true);
+        }
+        
+        const body = data || {};
+        castVote(
+          { pollId: body.pollId, username: user.username, user, shareToken: body.shareToken, body },
+          (err, result) => {
+            if (err) {
+              return respond({ success: false, ...err });
+            }
+            respond(result);
+          }
+        );
+      });
+    });
+    
+    // Fetch a joined poll's current results with the seq of the latest resultsDelta, to
+    // start from or to recover after a missed delta. Acknowledged with
+    // { success: true, pollId, seq, results, ... } or { success: false, error }.
+    socket.on('requestResults', (pollId, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      
+      if (typeof pollId !== 'string' || !socket.rooms.has(pollId)) {
+        return respond({ success: false, error: 'Join the poll first' });
       }
       
-      // Start a database transaction
-      db.serialize(() => {
-        db.run('BEGIN TRANSACTION');
+      storage.polls.findById(pollId).then(poll => {
+        if (!poll) {
+          return respond({ success: false, error: 'Poll not found' });
+        }
         
-        // Delete votes for this poll
-        db.run(`DELETE FROM votes WHERE poll_id = ?`, [pollId], (err) => {
+        checkResultsAccess(poll, user, (err, visible) => {
           if (err) {
-            console.error("Error deleting votes:", err);
-            db.run('ROLLBACK');
-            return res.status(500).json({ error: 'Database error' });
+            console.error("Error checking results access:", err);
+            return respond({ success: false, error: 'Database error' });
           }
           
-          // Delete options for this poll
-          db.run(`DELETE FROM options WHERE poll_id = ?`, [pollId], (err) => {
-            if (err) {
-              console.error("Error deleting options:", err);
-              db.run('ROLLBACK');
-              return res.status(500).json({ error: 'Database error' });
-            }
-            
-            // Delete the poll
-            db.run(`DELETE FROM polls WHERE id = ?`, [pollId], (err) => {
-              if (err) {
-                console.error("Error deleting poll:", err);
-                db.run('ROLLBACK');
-                return res.status(500).json({ error: 'Database error' });
-              }
-              
-              // Commit transaction
-              db.run('COMMIT');
-              
-              // Notify all clients about deleted poll
-              io.emit('pollDeleted', { pollId });
-              
-              res.json({ success: true, message: 'Poll deleted successfully' });
-            });
+          if (!visible) {
+            return respond({ success: false, error: 'Results are hidden' });
+          }
+          
+          tallies.snapshot(poll).then(({ seq, results }) => {
+            respond({ success: true, seq, ...resultsPayload(pollId, results) });
+          }, (err) => {
+            console.error("Error getting results:", err);
+            respond({ success: false, error: 'Database error' });
           });
         });
-      });
-    }
-  );
-});
-
-// Pause/Unpause a poll (creator only)
-app.put('/api/polls/:id/toggle-active', authenticateToken, (req, res) => {
-  const pollId = req.params.id;
-  
-  // Must be authenticated to update a poll
-  if (!req.user) {
-    return res.status(401).json({ error: 'Authentication required to update a poll' });
-  }
-  
-  // Check if poll exists and user is the creator
-  db.get(
-    `SELECT * FROM polls WHERE id = ?`, 
-    [pollId], 
-    (err, poll) => {
-      if (err) {
+      }, (err) => {
         console.error("Error checking poll:", err);
-        return res.status(500).json({ error: 'Database error' });
-      }
+        respond({ success: false, error: 'Database error' });
+      });
+    });
+    
+    // Follow a poll's vote activity (creator, moderators and admins): { pollId, bucket? }
+    // with a bucket of minute, hour (the default) or day. The acknowledgement receives
+    // { success: true, ... } with the body of GET /api/polls/:id/analytics, or
+    // { success: false, error }; then `analyticsUpdated` brings the analytics again each
+    // time the poll's results change.
+    socket.on('watchAnalytics', (data, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      const { pollId, bucket = 'hour' } = typeof data === 'object' && data !== null ? data : {};
       
-      if (!poll) {
-        return res.status(404).json({ error: 'Poll not found' });
+      if (!user) {
+        return respond({ success: false, error: 'Authentication required to view the analytics' });
       }
       
-      // Check if user is the creator
-      if (poll.created_by !== req.user.username) {
-        return res.status(403).json({ error: 'Only the poll creator can modify this poll' });
+      if (typeof pollId !== 'string' || !Object.keys(ACTIVITY_BUCKETS).includes(bucket)) {
+        return respond({ success: false, error: 'A pollId and a bucket of minute, hour or day are required' });
       }
       
-      // Toggle the poll's active status
-      const newStatus = poll.is_active === 1 ? 0 : 1;
-      
-      db.run(
-        `UPDATE polls SET is_active = ? WHERE id = ?`,
-        [newStatus, pollId],
-        function(err) {
+      storage.polls.findById(pollId).then(poll => {
+        if (!poll) {
+          return respond({ success: false, error: 'Poll not found' });
+        }
+        
+        if (poll.created_by !== user.username && !hasPermission(user, 'votes:inspect')) {
+          return respond({ success: false, error: 'Only the poll creator can view the analytics' });
+        }
+        
+        getPollAnalytics(poll, bucket, (err, analytics) => {
           if (err) {
-            console.error("Error updating poll status:", err);
-            return res.status(500).json({ error: 'Database error' });
+            console.error("Error getting analytics:", err);
+            return respond({ success: false, error: 'Database error' });
           }
           
-          // Notify all clients about updated poll status
-          io.emit('pollStatusUpdated', { 
-            pollId, 
-            isActive: newStatus 
-          });
-          
-          res.json({ 
-            success: true, 
-            pollId,
-            isActive: newStatus
-          });
+          socket.join(analyticsRoom(pollId, bucket));
+          respond({ success: true, ...analytics });
+        });
+      }, (err) => {
+        console.error("Error checking poll:", err);
+        respond({ success: false, error: 'Database error' });
+      });
+    });
+    
+    // Stop following a poll's analytics ({ pollId, bucket? }; every bucket when left out)
+    socket.on('unwatchAnalytics', (data) => {
+      const { pollId, bucket } = typeof data === 'object' && data !== null ? data : {};
+      Object.keys(ACTIVITY_BUCKETS)
+        .filter(size => bucket === undefined || size === bucket)
+        .forEach(size => socket.leave(analyticsRoom(pollId, size)));
+    });
+    
+    socket.on('disconnect', () => {
+      clearTimeout(expiry);
+      console.log('Client disconnected');
+    });
+  });
+  
+  // Bring the database schema up to date, promote the configured administrators, load the
+  // audit signing key and the live results, then listen and arm the poll and webhook timers. Calls back once the server is listening.
+  // With a port of null nothing listens: connections are handed over with
+  // server.emit('connection', socket) instead (cluster workers).
+  const start = (port, callback = () => {}) => {
+    const ready = () => {
+      if (scheduler) {
+        startPollScheduler();
+        resumeWebhookDeliveries();
+      }
+      callback(null);
+    };
+    
+    storage.migrate()
+      .then(applied => {
+        applied.forEach(migration => {
+          console.log(`Applied migration ${migration.version} (${migration.name})`);
+        });
+        return storage.users.setRoles(ADMIN_USERNAMES, 'admin');
+      })
+      .then(() => loadAuditKeys())
+      .then((keys) => {
+        auditKeys = keys;
+        return tallies.seed(new Date().toISOString());
+      })
+      .then((loaded) => {
+        console.log(`Loaded live results for ${loaded} poll(s)`);
+        if (port === null) {
+          return ready();
         }
-      );
-    }
-  );
-});
-
-// Update poll timing (creator only)
-app.put('/api/polls/:id/timing', authenticateToken, (req, res) => {
-  const pollId = req.params.id;
-  const { startAt, activeUntil } = req.body;
+        
+        server.listen(port, () => {
+          console.log(`Server running on port ${server.address().port}`);
+          console.log(`API available at http://localhost:${server.address().port}/api`);
+          ready();
+        });
+      }, callback);
+  };
+  
+  // Stop the timers, disconnect every client and close the server and the database
+  const close = (callback = () => {}) => {
+    clearInterval(sweepTimer);
+    pollTimers.forEach((timers, pollId) => unschedulePoll(pollId));
+    deliveryTimers.forEach(timer => clearTimeout(timer));
+    deliveryTimers.clear();
+    tallies.close();
+    
+    io.close(() => {
+      storage.close().then(() => callback(null), callback);
+    });
+  };
   
-  // Must be authenticated to update a poll
-  if (!req.user) {
-    return res.status(401).json({ error: 'Authentication required to update a poll' });
+  return { app, server, io, storage, start, close };
+};
+
+// Cluster mode: the primary process listens on the port and hands every connection to one
+// of `workerCount` worker processes, always the same one for a client IP, because a
+// Socket.IO client's requests must all reach the worker that holds its session. Workers
+// share the database and relay broadcasts over the cluster bus; worker 0 runs the poll
+// lifecycle scheduler. Workers that exit are replaced.
+const startClusterPrimary = (port, workerCount) => {
+  if ((process.env.DB_PATH || './polls.db') === ':memory:') {
+    console.error("Cluster mode needs a database file that the workers can share (DB_PATH)");
+    process.exit(1);
   }
   
-  // Check if poll exists and user is the creator
-  db.get(
-    `SELECT * FROM polls WHERE id = ?`, 
-    [pollId], 
-    (err, poll) => {
-      if (err) {
-        console.error("Error checking poll:", err);
-        return res.status(500).json({ error: 'Database error' });
+  const workers = [];
+  let stopping = false;
+  
+  const fork = (index) => {
+    const worker = cluster.fork({ CLUSTER_WORKER_INDEX: String(index) });
+    workers[index] = worker;
+    worker.on('exit', (code, signal) => {
+      if (!stopping) {
+        console.error(`Worker ${index} exited (${signal || code}), restarting it`);
+        fork(index);
       }
-      
-      if (!poll) {
-        return res.status(404).json({ error: 'Poll not found' });
+    });
+  };
+  
+  // Pick the worker for a client IP; a worker that is restarting is skipped
+  const pickWorker = (address) => {
+    const hash = crypto.createHash('sha1').update(address || '').digest().readUInt32BE(0);
+    for (let offset = 0; offset < workers.length; offset++) {
+      const worker = workers[(hash + offset) % workers.length];
+      if (worker.isConnected()) {
+        return worker;
       }
-      
-      // Check if user is the creator
-      if (poll.created_by !== req.user.username) {
-        return res.status(403).json({ error: 'Only the poll creator can modify this poll' });
+    }
+    return null;
+  };
+  
+  relayClusterMessages();
+  
+  // Apply pending migrations once, before any worker opens the database
+  const storage = createStorage();
+  storage.migrate()
+    .then(applied => {
+      applied.forEach(migration => {
+        console.log(`Applied migration ${migration.version} (${migration.name})`);
+      });
+      return storage.close();
+    })
+    .then(() => {
+      for (let index = 0; index < workerCount; index++) {
+        fork(index);
       }
       
-      db.run(
-        `UPDATE polls SET start_at = ?, active_until = ? WHERE id = ?`,
-        [startAt || null, activeUntil || null, pollId],
-        function(err) {
-          if (err) {
-            console.error("Error updating poll timing:", err);
-            return res.status(500).json({ error: 'Database error' });
-          }
-          
-          // Notify all clients about updated poll timing
-          io.emit('pollTimingUpdated', { 
-            pollId, 
-            startAt: startAt || null,
-            activeUntil: activeUntil || null
-          });
-          
-          res.json({ 
-            success: true, 
-            pollId,
-            startAt: startAt || null,
-            activeUntil: activeUntil || null
-          });
+      const balancer = net.createServer({ pauseOnConnect: true }, (connection) => {
+        const worker = pickWorker(connection.remoteAddress);
+        if (!worker) {
+          return connection.destroy();
         }
-      );
-    }
-  );
-});
+        worker.send('cluster:connection', connection);
+      });
+      
+      balancer.listen(port, () => {
+        console.log(`Server running on port ${balancer.address().port} with ${workerCount} workers`);
+        console.log(`API available at http://localhost:${balancer.address().port}/api`);
+      });
+      
+      ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+        stopping = true;
+        balancer.close();
+        cluster.disconnect(() => process.exit(0));
+      }));
+    })
+    .catch(err => {
+      console.error("Error migrating database:", err);
+      process.exit(1);
+    });
+};
 
-// Socket.IO handling
-io.on('connection', (socket) => {
-  console.log('New client connected');
+// A cluster worker: serve the connections the primary hands over
+const startClusterWorker = () => {
+  const index = Number(process.env.CLUSTER_WORKER_INDEX);
+  const { server, start, close } = createApp({ bus: createClusterBus(), scheduler: index === 0 });
   
-  // Join a poll room for real-time updates
-  socket.on('joinPoll', (pollId) => {
-    socket.join(pollId);
-    console.log(`Client joined poll: ${pollId}`);
+  process.on('message', (message, connection) => {
+    if (message === 'cluster:connection' && connection) {
+      server.emit('connection', connection);
+      connection.resume();
+    }
   });
   
-  // Leave a poll
-  socket.on('leavePoll', (pollId) => {
-    socket.leave(pollId);
-    console.log(`Client left poll: ${pollId}`);
+  // The primary is shutting down (or went away)
+  process.on('disconnect', () => {
+    close(() => process.exit(0));
   });
   
-  socket.on('disconnect', () => {
-    console.log('Client disconnected');
+  start(null, (err) => {
+    if (err) {
+      console.error("Error starting worker:", err);
+      process.exit(1);
+    }
+    console.log(`Worker ${index} (pid ${process.pid}) ready`);
   });
-});
-
-// Start server
-const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`API available at http://localhost:${PORT}/api`);
-});
+};
 
-// Handle process termination
-process.on('exit', () => {
-  db.close();
-});
+// Start the server when run directly (node index.js). CLUSTER_WORKERS (a number, or
+// "auto" for one per CPU core) starts that many worker processes in cluster mode.
+if (require.main === module) {
+  const port = process.env.PORT || 5000;
+  const workerCount = CLUSTER_WORKERS === 'auto' ? os.cpus().length : Number(CLUSTER_WORKERS) || 0;
+  
+  if (cluster.isWorker) {
+    startClusterWorker();
+  } else if (workerCount > 1) {
+    startClusterPrimary(port, workerCount);
+  } else {
+    createApp().start(port, (err) => {
+      if (err) {
+        console.error("Error migrating database:", err);
+        process.exit(1);
+      }
+    });
+  }
+}
 
-module.exports = { app, server }; 
\ No newline at end of file
+module.exports = { createApp, createStorage };
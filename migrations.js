@@ -0,0 +1,616 @@
+// Versioned schema migrations
+// Each migration brings the schema from version - 1 to version. The versions applied to a
+// database are recorded in its schema_migrations table, and pending migrations run in a
+// single transaction when the server starts (or from the command line, see the bottom of
+// this file). Migrations are written so they also bring databases created before this
+// runner existed up to date: tables and indexes are created only if missing, and columns
+// are only added to tables that don't have them yet.
+
+// A step that adds a column unless the table already has it. `backfill` runs right after
+// the column is added (and only then).
+const addColumn = (table, column, definition, backfill) => ({ table, column, definition, backfill });
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    steps: [
+      `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        email TEXT UNIQUE,
+        password TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS polls (
+        id TEXT PRIMARY KEY,
+        question TEXT NOT NULL,
+        created_by TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        start_at TEXT,
+        active_until TEXT,
+        is_active INTEGER DEFAULT 1
+      )`,
+      `CREATE TABLE IF NOT EXISTS options (
+        id TEXT PRIMARY KEY,
+        poll_id TEXT NOT NULL,
+        text TEXT NOT NULL,
+        FOREIGN KEY (poll_id) REFERENCES polls(id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS votes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        poll_id TEXT NOT NULL,
+        option_id TEXT NOT NULL,
+        username TEXT NOT NULL,
+        voted_at TEXT NOT NULL,
+        FOREIGN KEY (poll_id) REFERENCES polls(id),
+        FOREIGN KEY (option_id) REFERENCES options(id)
+      )`
+    ]
+  },
+  {
+    // Ranked-choice and multi-select polls
+    version: 2,
+    name: 'poll_types',
+    steps: [
+      addColumn('polls', 'type', `TEXT NOT NULL DEFAULT 'single'`),
+      addColumn('polls', 'min_selections', 'INTEGER NOT NULL DEFAULT 1'),
+      addColumn('polls', 'max_selections', 'INTEGER NOT NULL DEFAULT 1'),
+      addColumn('votes', 'rank', 'INTEGER')
+    ]
+  },
+  {
+    // Changing and retracting votes, with an audit trail
+    version: 3,
+    name: 'vote_changes',
+    steps: [
+      addColumn('polls', 'allow_vote_change', 'INTEGER DEFAULT 0'),
+      `CREATE TABLE IF NOT EXISTS vote_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        poll_id TEXT NOT NULL,
+        username TEXT NOT NULL,
+        action TEXT NOT NULL,
+        option_ids TEXT,
+        previous_option_ids TEXT,
+        recorded_at TEXT NOT NULL,
+        FOREIGN KEY (poll_id) REFERENCES polls(id)
+      )`
+    ]
+  },
+  {
+    // Polls that require logged-in voters, sessions and refresh tokens
+    version: 4,
+    name: 'sessions',
+    steps: [
+      addColumn('polls', 'require_auth', 'INTEGER DEFAULT 0'),
+      `CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        revoked_at TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        FOREIGN KEY (session_id) REFERENCES sessions(id)
+      )`
+    ]
+  },
+  {
+    // Option display order, numbered in creation order for existing polls
+    version: 5,
+    name: 'option_positions',
+    steps: [
+      addColumn(
+        'options',
+        'position',
+        'INTEGER NOT NULL DEFAULT 0',
+        `UPDATE options SET position = (
+          SELECT COUNT(*) FROM options o WHERE o.poll_id = options.poll_id AND o.rowid < options.rowid
+        )`
+      )
+    ]
+  },
+  {
+    // Roles, disabled accounts and the audit log of privileged actions
+    version: 6,
+    name: 'roles',
+    steps: [
+      addColumn('users', 'role', `TEXT NOT NULL DEFAULT 'user'`),
+      addColumn('users', 'disabled', 'INTEGER DEFAULT 0'),
+      `CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor TEXT NOT NULL,
+        action TEXT NOT NULL,
+        target_type TEXT NOT NULL,
+        target_id TEXT NOT NULL,
+        details TEXT,
+        created_at TEXT NOT NULL
+      )`
+    ]
+  },
+  {
+    // Unlisted and private polls, share tokens and invites
+    version: 7,
+    name: 'poll_visibility',
+    steps: [
+      addColumn('polls', 'visibility', `TEXT NOT NULL DEFAULT 'public'`),
+      addColumn('polls', 'share_token', 'TEXT'),
+      `CREATE TABLE IF NOT EXISTS poll_invites (
+        poll_id TEXT NOT NULL,
+        username TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (poll_id, username),
+        FOREIGN KEY (poll_id) REFERENCES polls(id)
+      )`
+    ]
+  },
+  {
+    // Secret-ballot polls keep who voted apart from what was chosen. Participations record
+    // that a user voted; secret ballots hold the choices under a random ballot ID with no
+    // voter or time. Both are WITHOUT ROWID tables ordered by their keys, so insertion
+    // order can't be used to match one to the other.
+    version: 8,
+    name: 'secret_ballots',
+    steps: [
+      addColumn('polls', 'secret_ballot', 'INTEGER DEFAULT 0'),
+      `CREATE TABLE IF NOT EXISTS participations (
+        poll_id TEXT NOT NULL,
+        username TEXT NOT NULL,
+        voted_at TEXT NOT NULL,
+        PRIMARY KEY (poll_id, username),
+        FOREIGN KEY (poll_id) REFERENCES polls(id)
+      ) WITHOUT ROWID`,
+      `CREATE TABLE IF NOT EXISTS secret_ballots (
+        poll_id TEXT NOT NULL,
+        ballot_id TEXT NOT NULL,
+        option_id TEXT NOT NULL,
+        rank INTEGER,
+        PRIMARY KEY (poll_id, ballot_id, option_id),
+        FOREIGN KEY (poll_id) REFERENCES polls(id),
+        FOREIGN KEY (option_id) REFERENCES options(id)
+      ) WITHOUT ROWID`,
+      // Every ballot row, open or secret, for counting results (ballot_id is the voter's
+      // username for open polls)
+      `CREATE VIEW IF NOT EXISTS ballot_choices AS
+      SELECT poll_id, option_id, username AS ballot_id, rank FROM votes
+      UNION ALL
+      SELECT poll_id, option_id, ballot_id, rank FROM secret_ballots`,
+      // Who voted in which poll, open or secret
+      `CREATE VIEW IF NOT EXISTS poll_voters AS
+      SELECT poll_id, username FROM votes
+      UNION
+      SELECT poll_id, username FROM participations`
+    ]
+  },
+  {
+    version: 9,
+    name: 'results_visibility',
+    steps: [
+      addColumn('polls', 'results_visibility', `TEXT NOT NULL DEFAULT 'always'`)
+    ]
+  },
+  {
+    // Hashed IP addresses or device IDs of anonymous votes, for polls with duplicate-vote checks
+    version: 10,
+    name: 'duplicate_checks',
+    steps: [
+      addColumn('polls', 'duplicate_check', `TEXT NOT NULL DEFAULT 'none'`),
+      `CREATE TABLE IF NOT EXISTS vote_fingerprints (
+        poll_id TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        username TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (poll_id, fingerprint),
+        FOREIGN KEY (poll_id) REFERENCES polls(id)
+      )`
+    ]
+  },
+  {
+    // Webhook subscriptions and their delivery log
+    version: 11,
+    name: 'webhooks',
+    steps: [
+      `CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        all_polls INTEGER DEFAULT 0,
+        active INTEGER DEFAULT 1,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (username) REFERENCES users(username)
+      )`,
+      `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        status_code INTEGER,
+        error TEXT,
+        next_attempt_at TEXT,
+        last_attempt_at TEXT,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (webhook_id) REFERENCES webhooks(id)
+      )`
+    ]
+  },
+  {
+    // A voter can pick each option of a poll once. Multi-select and ranked polls store one
+    // row per chosen option, so the constraint is on (poll_id, username, option_id); it
+    // also serves lookups by poll and by poll and voter. Duplicate rows left by concurrent
+    // votes are removed first, keeping the earliest.
+    version: 12,
+    name: 'vote_indexes',
+    steps: [
+      `DELETE FROM votes WHERE id NOT IN (
+        SELECT MIN(id) FROM votes GROUP BY poll_id, username, option_id
+      )`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_votes_poll_user_option ON votes (poll_id, username, option_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_votes_username ON votes (username)`,
+      `CREATE INDEX IF NOT EXISTS idx_options_poll ON options (poll_id, position)`,
+      `CREATE INDEX IF NOT EXISTS idx_vote_history_poll ON vote_history (poll_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at)`
+    ]
+  },
+  {
+    // Poll windows are compared as strings, so they must all be UTC ISO timestamps like the
+    // API now stores them. Older rows may carry an offset or no milliseconds; values SQLite
+    // can't parse are left alone.
+    version: 13,
+    name: 'normalize_timestamps',
+    steps: [
+      `UPDATE polls SET start_at = COALESCE(strftime('%Y-%m-%dT%H:%M:%fZ', start_at), start_at) 
+       WHERE start_at IS NOT NULL`,
+      `UPDATE polls SET active_until = COALESCE(strftime('%Y-%m-%dT%H:%M:%fZ', active_until), active_until) 
+       WHERE active_until IS NOT NULL`
+    ]
+  },
+  {
+    // Saved poll templates. `options` and `settings` hold JSON: the option texts, and the
+    // poll settings of POST /api/polls (type, selection limits, visibility, ...).
+    version: 14,
+    name: 'poll_templates',
+    steps: [
+      `CREATE TABLE IF NOT EXISTS poll_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL,
+        name TEXT NOT NULL,
+        question TEXT NOT NULL,
+        options TEXT NOT NULL,
+        duration_minutes INTEGER,
+        settings TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        FOREIGN KEY (username) REFERENCES users(username)
+      )`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_poll_templates_user_name ON poll_templates (username, name)`
+    ]
+  },
+  {
+    // One ballot per voter and poll. The vote_indexes constraint is per option, so it can't
+    // stop a second ballot; participations (keyed by poll and voter) now record every
+    // ballot, open or secret, and vote rows can only be inserted for a voter who has one.
+    // Extra ballots left by concurrent votes are removed first, keeping each voter's
+    // earliest one (and its first row in single-choice polls).
+    // The unique key of a ballot is on participations rather than votes because a ballot
+    // of a multiple-choice or ranked poll is several vote rows (see ballot_constraint).
+    // Callers only rely on the SQLITE_CONSTRAINT code of a rejected insert, not on the
+    // message of the trigger below.
+    version: 15,
+    name: 'one_ballot_per_voter',
+    steps: [
+      `DELETE FROM votes WHERE voted_at != (
+        SELECT first.voted_at FROM votes first
+        WHERE first.poll_id = votes.poll_id AND first.username = votes.username
+        ORDER BY first.id LIMIT 1
+      )`,
+      `DELETE FROM votes
+       WHERE poll_id IN (SELECT id FROM polls WHERE type IS NULL OR type = 'single')
+       AND id NOT IN (SELECT MIN(id) FROM votes GROUP BY poll_id, username)`,
+      `INSERT OR IGNORE INTO participations (poll_id, username, voted_at)
+       SELECT poll_id, username, MIN(voted_at) FROM votes GROUP BY poll_id, username`,
+      `CREATE TRIGGER IF NOT EXISTS votes_require_participation BEFORE INSERT ON votes
+       WHEN NOT EXISTS (
+         SELECT 1 FROM participations WHERE poll_id = NEW.poll_id AND username = NEW.username
+       )
+       BEGIN
+         SELECT RAISE(ABORT, 'a vote needs the voter''s participation');
+       END`
+    ]
+  },
+  {
+    // Audit seals: when a poll closes, the head of its vote hash chain (see the audit
+    // bundle) is signed and kept, so a later bundle can be checked against it. server_keys
+    // holds the audit signing key generated when AUDIT_SIGNING_KEY isn't set.
+    version: 16,
+    name: 'audit_seals',
+    steps: [
+      `CREATE TABLE IF NOT EXISTS server_keys (
+        name TEXT PRIMARY KEY,
+        private_key TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS audit_seals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        poll_id TEXT NOT NULL,
+        closed_at TEXT NOT NULL,
+        vote_count INTEGER NOT NULL,
+        genesis TEXT NOT NULL,
+        head TEXT NOT NULL,
+        anonymized_head TEXT NOT NULL,
+        signature TEXT NOT NULL,
+        public_key TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (poll_id) REFERENCES polls(id)
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_audit_seals_poll ON audit_seals (poll_id, id)`
+    ]
+  },
+  {
+    // When a poll's latest closing (its end time, or a pause) was announced, so that the
+    // end times passed while the server was down are announced when it starts. Polls that
+    // had already ended count as announced.
+    version: 17,
+    name: 'poll_closings',
+    steps: [
+      addColumn(
+        'polls',
+        'closed_at',
+        'TEXT',
+        `UPDATE polls SET closed_at = active_until
+         WHERE active_until <= strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`
+      )
+    ]
+  },
+  {
+    // The unique constraint of one ballot per (poll_id, username), named explicitly. A
+    // second ballot by a voter fails to insert its participation with SQLITE_CONSTRAINT,
+    // which aborts the whole vote (see votes.write() in storage.js). participations
+    // created by migration 8 already have this as their primary key; the index makes the
+    // constraint hold for any copy of the table created without it.
+    version: 18,
+    name: 'ballot_constraint',
+    steps: [
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_participations_ballot ON participations (poll_id, username)`
+    ]
+  }
+];
+
+// The latest schema version
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Make sure the table recording applied migrations exists
+const ensureMigrationsTable = (db, callback) => {
+  db.run(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )`,
+    callback
+  );
+};
+
+// Get the applied migrations ({ version, applied_at }), none when the database has no
+// schema_migrations table yet
+const getAppliedMigrations = (db, callback) => {
+  db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'`, [], (err, table) => {
+    if (err || !table) {
+      return callback(err, []);
+    }
+    db.all(`SELECT version, applied_at FROM schema_migrations`, [], callback);
+  });
+};
+
+// Report the database's schema version and which migrations are applied or pending,
+// without changing anything. Calls back with { currentVersion, latestVersion,
+// migrations: [{ version, name, appliedAt }], pending: [migration] }.
+const getMigrationStatus = (db, callback) => {
+  getAppliedMigrations(db, (err, rows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+    callback(null, {
+      currentVersion: rows.reduce((version, row) => Math.max(version, row.version), 0),
+      latestVersion: LATEST_VERSION,
+      migrations: MIGRATIONS.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: appliedAt.get(migration.version) || null
+      })),
+      pending: MIGRATIONS.filter(migration => !appliedAt.has(migration.version))
+    });
+  });
+};
+
+// Run one step of a migration. Calls back with the SQL it ran, or would run when
+// `dryRun` is set (an empty list when an added column already exists).
+const runStep = (db, step, dryRun, callback) => {
+  if (typeof step === 'string') {
+    if (dryRun) {
+      return callback(null, [step]);
+    }
+    return db.run(step, (err) => callback(err, [step]));
+  }
+
+  db.all(`PRAGMA table_info(${step.table})`, [], (err, columns) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // Columns of tables created earlier in the same dry run can't be looked up, so they
+    // are reported as added
+    if (columns.some(column => column.name === step.column)) {
+      return callback(null, []);
+    }
+
+    const statements = [`ALTER TABLE ${step.table} ADD COLUMN ${step.column} ${step.definition}`];
+    if (step.backfill) {
+      statements.push(step.backfill);
+    }
+
+    if (dryRun) {
+      return callback(null, statements);
+    }
+
+    const runNext = (index) => {
+      if (index === statements.length) {
+        return callback(null, statements);
+      }
+      db.run(statements[index], (err) => (err ? callback(err) : runNext(index + 1)));
+    };
+    runNext(0);
+  });
+};
+
+// Run a migration's steps in order and record it as applied. Calls back with the SQL run.
+const runMigration = (db, migration, dryRun, callback) => {
+  const executed = [];
+
+  const runNext = (index) => {
+    if (index === migration.steps.length) {
+      if (dryRun) {
+        return callback(null, executed);
+      }
+
+      return db.run(
+        `INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)`,
+        [migration.version, migration.name, new Date().toISOString()],
+        (err) => callback(err, executed)
+      );
+    }
+
+    runStep(db, migration.steps[index], dryRun, (err, statements) => {
+      if (err) {
+        return callback(err);
+      }
+      executed.push(...statements);
+      runNext(index + 1);
+    });
+  };
+  runNext(0);
+};
+
+// Apply every pending migration in one transaction, so a failure leaves the database as it
+// was. With `dryRun` nothing is changed. Calls back with the list of
+// { version, name, statements } that were (or would be) applied.
+const runMigrations = (db, { dryRun = false } = {}, callback) => {
+  getMigrationStatus(db, (err, status) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (status.pending.length === 0) {
+      return callback(null, []);
+    }
+
+    const applied = [];
+
+    const finish = (err) => {
+      if (dryRun) {
+        return callback(err, applied);
+      }
+
+      db.run(err ? 'ROLLBACK' : 'COMMIT', (endErr) => callback(err || endErr, applied));
+    };
+
+    const runNext = (index) => {
+      if (index === status.pending.length) {
+        return finish(null);
+      }
+
+      const migration = status.pending[index];
+      runMigration(db, migration, dryRun, (err, statements) => {
+        if (err) {
+          err.message = `Migration ${migration.version} (${migration.name}) failed: ${err.message}`;
+          return finish(err);
+        }
+
+        applied.push({ version: migration.version, name: migration.name, statements });
+        runNext(index + 1);
+      });
+    };
+
+    if (dryRun) {
+      return runNext(0);
+    }
+
+    db.run('BEGIN TRANSACTION', (err) => {
+      if (err) {
+        return callback(err);
+      }
+
+      ensureMigrationsTable(db, (err) => (err ? finish(err) : runNext(0)));
+    });
+  });
+};
+
+module.exports = { MIGRATIONS, LATEST_VERSION, getMigrationStatus, runMigrations };
+
+// Command line: node migrations.js [status | up [--dry-run]] [database file]
+// (the database file defaults to DB_PATH, like the server)
+if (require.main === module) {
+  const sqlite3 = require('sqlite3');
+  require('dotenv').config();
+
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const [command = 'status', dbPath = process.env.DB_PATH || './polls.db'] = args.filter(arg => arg !== '--dry-run');
+
+  if (!['status', 'up'].includes(command)) {
+    console.error('Usage: node migrations.js [status | up [--dry-run]] [database file]');
+    process.exit(1);
+  }
+
+  const db = new sqlite3.Database(dbPath);
+  const done = (err) => {
+    db.close();
+    if (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+  };
+
+  if (command === 'status') {
+    getMigrationStatus(db, (err, status) => {
+      if (err) {
+        return done(err);
+      }
+
+      console.log(`Schema version ${status.currentVersion} of ${status.latestVersion}`);
+      status.migrations.forEach(migration => {
+        console.log(`  ${String(migration.version).padStart(3)} ${migration.name.padEnd(20)} ${migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending'}`);
+      });
+      done(null);
+    });
+  } else {
+    runMigrations(db, { dryRun }, (err, applied) => {
+      if (err) {
+        return done(err);
+      }
+
+      if (applied.length === 0) {
+        console.log('Schema is up to date');
+      }
+      applied.forEach(migration => {
+        console.log(`${dryRun ? 'Would apply' : 'Applied'} migration ${migration.version} (${migration.name})`);
+        if (dryRun) {
+          migration.statements.forEach(sql => console.log(`  ${sql.replace(/\s+/g, ' ')};`));
+        }
+      });
+      done(null);
+    });
+  }
+}
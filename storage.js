@@ -0,0 +1,948 @@
+// Persistence layer
+// A SQLite database behind promise-based repositories for users, polls, options, votes,
+// invites, sessions and refresh tokens, the audit log and seals, server keys, webhooks and
+// poll templates. createStorage() opens the file named by `filename` (default: the DB_PATH
+// environment variable, or ./polls.db); `memory: true` (or a filename of ':memory:') gives
+// a private in-memory database instead, for tests and throwaway instances.
+// The schema is created and upgraded by migrate() (see migrations.js).
+const sqlite3 = require('sqlite3').verbose();
+const crypto = require('crypto');
+const { runMigrations } = require('./migrations');
+
+// SQL conditions (and their parameters) for the poll list status filters
+const POLL_STATUS_FILTERS = {
+  upcoming: (now) => [`(p.is_active = 1 AND p.start_at > ?)`, [now]],
+  active: (now) => [
+    `(p.is_active = 1 AND (p.start_at IS NULL OR p.start_at <= ?) AND (p.active_until IS NULL OR p.active_until >= ?))`,
+    [now, now]
+  ],
+  ended: (now) => [`(p.active_until < ?)`, [now]],
+  paused: (now) => [`(p.is_active = 0 AND (p.active_until IS NULL OR p.active_until >= ?))`, [now]]
+};
+
+// Sort keys for the poll list; polls without an end time sort as ending last
+const POLL_SORT_KEYS = {
+  created: 'created_at',
+  endTime: `COALESCE(active_until, '9999-12-31T23:59:59.999Z')`,
+  votes: 'vote_count'
+};
+
+// Time buckets for vote activity: the strftime() format giving the (UTC) start of the
+// bucket a timestamp falls in
+const ACTIVITY_BUCKETS = {
+  minute: '%Y-%m-%dT%H:%M:00.000Z',
+  hour: '%Y-%m-%dT%H:00:00.000Z',
+  day: '%Y-%m-%dT00:00:00.000Z'
+};
+
+// Columns that users.update() and polls.update() may change
+const USER_COLUMNS = ['role', 'disabled'];
+const POLL_COLUMNS = [
+  'question', 'start_at', 'active_until', 'is_active', 'visibility', 'share_token',
+  'results_visibility', 'duplicate_check', 'closed_at'
+];
+
+// Run [sql, params] statements one after the other with `execute`
+const executeAll = (execute, statements) => statements.reduce(
+  (previous, [sql, params]) => previous.then(() => execute(sql, params)),
+  Promise.resolve()
+);
+
+const createStorage = ({ filename = process.env.DB_PATH || './polls.db', memory = false } = {}) => {
+  const db = new sqlite3.Database(memory ? ':memory:' : filename);
+
+  // Wait for locks held by other processes sharing the file (cluster mode) instead of
+  // failing with SQLITE_BUSY
+  db.configure('busyTimeout', 5000);
+
+  // Promise wrappers around the sqlite3 callbacks. execute() resolves with { lastID, changes }.
+  const execute = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+
+  const select = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+
+  const selectAll = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  // Every write goes through one queue. The connection has a single transaction, so a
+  // second BEGIN while one is open fails, and a write sent in the middle of a transaction
+  // would become part of it (and be rolled back with it).
+  let writes = Promise.resolve();
+  const enqueue = (task) => {
+    const result = writes.then(task);
+    writes = result.catch(() => {});
+    return result;
+  };
+
+  const run = (sql, params = []) => enqueue(() => execute(sql, params));
+
+  // Reads skip the queue, except while a transaction is queued or open: on the shared
+  // connection they would otherwise see its uncommitted changes. A transaction waits for
+  // the reads already running before it begins.
+  let transactions = 0;
+  const reads = new Set();
+  const read = (query) => (sql, params) => {
+    if (transactions > 0) {
+      return enqueue(() => query(sql, params));
+    }
+
+    const result = query(sql, params);
+    const done = result.then(() => reads.delete(done), () => reads.delete(done));
+    reads.add(done);
+    return result;
+  };
+  const get = read(select);
+  const all = read(selectAll);
+
+  // Run a list of [sql, params] statements, in order, inside a single transaction. It is
+  // rolled back (and the promise rejected) if any of them fails.
+  // `work` may also be a function, called inside the transaction with { execute, get, all }
+  // (which must be used for every query it makes) and returning a promise; the
+  // transaction resolves with what that promise resolves with.
+  const transaction = (work) => {
+    const body = typeof work === 'function'
+      ? () => work({ execute, get: select, all: selectAll })
+      : () => executeAll(execute, work).then(() => undefined);
+
+    transactions++;
+    const result = enqueue(() => Promise.all(reads)
+      .then(() => execute('BEGIN IMMEDIATE TRANSACTION'))
+      .then(body)
+      .then(
+        (value) => execute('COMMIT').then(() => value),
+        (err) => execute('ROLLBACK').then(() => Promise.reject(err), () => Promise.reject(err))
+      ));
+
+    const finished = () => {
+      transactions--;
+    };
+    result.then(finished, finished);
+    return result;
+  };
+
+  // Build "SET a = ?, b = ?" from the allowed columns of a changes object
+  const setClause = (changes, allowed) => {
+    const columns = Object.keys(changes).filter(column => allowed.includes(column));
+    return {
+      sql: columns.map(column => `${column} = ?`).join(', '),
+      params: columns.map(column => changes[column])
+    };
+  };
+
+  const users = {
+    findById: (id) => get(`SELECT * FROM users WHERE id = ?`, [id]),
+
+    findByUsername: (username) => get(`SELECT * FROM users WHERE username = ?`, [username]),
+
+    // Resolves with the new user's ID
+    create: ({ username, email, password, createdAt, role }) => run(
+      `INSERT INTO users (username, email, password, created_at, role) VALUES (?, ?, ?, ?, ?)`,
+      [username, email || null, password, createdAt, role]
+    ).then(result => result.lastID),
+
+    list: () => all(`SELECT id, username, email, role, disabled, created_at FROM users ORDER BY id`),
+
+    // Change a user's role and/or disabled flag. Resolves with the number of users changed.
+    update: (id, changes) => {
+      const set = setClause(changes, USER_COLUMNS);
+      return run(`UPDATE users SET ${set.sql} WHERE id = ?`, [...set.params, id]).then(result => result.changes);
+    },
+
+    // Give a role to every listed user that exists
+    setRoles: (usernames, role) => {
+      if (usernames.length === 0) {
+        return Promise.resolve(0);
+      }
+      return run(
+        `UPDATE users SET role = ? WHERE username IN (${usernames.map(() => '?').join(', ')})`,
+        [role, ...usernames]
+      ).then(result => result.changes);
+    },
+
+    // Totals for a user's stats: polls created, voters in them, polls voted in, and the
+    // polls of other users open since the user registered (and how many of those they voted in)
+    stats: (user) => get(
+      `SELECT
+         (SELECT COUNT(*) FROM polls WHERE created_by = ?) AS polls_created,
+         (SELECT COUNT(*) FROM (
+            SELECT v.poll_id, v.username FROM poll_voters v
+            JOIN polls p ON p.id = v.poll_id
+            WHERE p.created_by = ?
+          )) AS votes_received,
+         (SELECT COUNT(*) FROM poll_voters WHERE username = ?) AS polls_voted_in,
+         (SELECT COUNT(*) FROM polls p WHERE p.created_by != ? AND
+            (p.active_until IS NULL OR p.active_until >= (SELECT created_at FROM users WHERE id = ?))
+         ) AS eligible_polls,
+         (SELECT COUNT(*) FROM poll_voters v
+          JOIN polls p ON p.id = v.poll_id
+          WHERE v.username = ? AND p.created_by != ?) AS other_polls_voted_in`,
+      [user.username, user.username, user.username, user.username, user.id, user.username, user.username]
+    )
+  };
+
+  const polls = {
+    findById: (id) => get(`SELECT * FROM polls WHERE id = ?`, [id]),
+
+    // A poll that is accepting votes at `now` (active and within its timing window)
+    findOpen: (id, now) => get(
+      `SELECT * FROM polls WHERE id = ? AND
+       is_active = 1 AND
+       (start_at IS NULL OR start_at <= ?) AND
+       (active_until IS NULL OR active_until >= ?)`,
+      [id, now, now]
+    ),
+
+    // Polls with an opening or closing still ahead of `now`
+    listScheduled: (now) => all(`SELECT * FROM polls WHERE start_at > ? OR active_until > ?`, [now, now]),
+
+    // Polls whose end time has passed by `now` without their closing being announced
+    // (see closed_at)
+    listUnannouncedClosings: (now) => all(
+      `SELECT * FROM polls WHERE active_until <= ? AND (closed_at IS NULL OR closed_at < active_until)`,
+      [now]
+    ),
+
+    // Polls that haven't ended by `now` (open, paused or not started yet)
+    listLive: (now) => all(`SELECT * FROM polls WHERE active_until IS NULL OR active_until > ?`, [now]),
+
+    // A user's polls, newest first, with their number of voters as vote_count
+    listByCreator: (username) => all(
+      `SELECT p.*, (SELECT COUNT(*) FROM poll_voters v WHERE v.poll_id = p.id) AS vote_count
+       FROM polls p
+       WHERE p.created_by = ?
+       ORDER BY p.created_at DESC`,
+      [username]
+    ),
+
+    // A page of the polls `viewer` (a username, or null when anonymous) may list: public
+    // polls, plus their own and private polls they're invited to. Filters: statuses (keys of
+    // POLL_STATUS_FILTERS, or 'all'), createdBy, votedBy and search terms (each must appear
+    // in the question or an option). Sorted by `sort` (a key of POLL_SORT_KEYS) and id in
+    // `order`, continuing after `after` ({ key, id } of the previous page's last row).
+    // Rows carry vote_count and their sort_key.
+    list: ({ viewer, statuses, createdBy, votedBy, terms = [], sort, order, after, limit, now }) => {
+      const conditions = [];
+      const params = [];
+
+      if (viewer) {
+        conditions.push(
+          `(p.visibility = 'public' OR p.created_by = ? OR
+            (p.visibility = 'private' AND EXISTS (SELECT 1 FROM poll_invites i WHERE i.poll_id = p.id AND i.username = ?)))`
+        );
+        params.push(viewer, viewer);
+      } else {
+        conditions.push(`p.visibility = 'public'`);
+      }
+
+      if (!statuses.includes('all')) {
+        const filters = statuses.map(status => POLL_STATUS_FILTERS[status](now));
+        conditions.push(`(${filters.map(([sql]) => sql).join(' OR ')})`);
+        filters.forEach(([, filterParams]) => params.push(...filterParams));
+      }
+
+      if (createdBy) {
+        conditions.push('p.created_by = ?');
+        params.push(createdBy);
+      }
+
+      if (votedBy) {
+        conditions.push('EXISTS (SELECT 1 FROM poll_voters v WHERE v.poll_id = p.id AND v.username = ?)');
+        params.push(votedBy);
+      }
+
+      terms.forEach(term => {
+        const pattern = `%${term.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+        conditions.push(
+          `(p.question LIKE ? ESCAPE '\\' OR
+            EXISTS (SELECT 1 FROM options o WHERE o.poll_id = p.id AND o.text LIKE ? ESCAPE '\\'))`
+        );
+        params.push(pattern, pattern);
+      });
+
+      // Keyset pagination: continue after the (sort key, id) of the previous page's last poll
+      const sortKey = POLL_SORT_KEYS[sort];
+      const comparison = order === 'desc' ? '<' : '>';
+      const pageConditions = [];
+      const pageParams = [];
+      if (after) {
+        pageConditions.push(`(${sortKey} ${comparison} ? OR (${sortKey} = ? AND id ${comparison} ?))`);
+        pageParams.push(after.key, after.key, after.id);
+      }
+
+      return all(
+        `SELECT *, ${sortKey} AS sort_key FROM (
+           SELECT p.*, (SELECT COUNT(*) FROM poll_voters v WHERE v.poll_id = p.id) AS vote_count
+           FROM polls p
+           ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         )
+         ${pageConditions.length ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+         ORDER BY ${sortKey} ${order.toUpperCase()}, id ${order.toUpperCase()}
+         LIMIT ?`,
+        [...params, ...pageParams, limit]
+      );
+    },
+
+    // Insert new polls with their options (in display order) and invites, all in one
+    // transaction. Each entry is { poll: <polls row>, options: [{ id, text }], invites: [username] }.
+    create: (entries) => transaction([].concat(...entries.map(({ poll, options, invites }) => [
+      [
+        `INSERT INTO polls (id, question, created_by, created_at, start_at, active_until, closed_at, is_active, type, min_selections, max_selections, allow_vote_change, require_auth, visibility, secret_ballot, results_visibility, duplicate_check)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          poll.id, poll.question, poll.created_by, poll.created_at, poll.start_at, poll.active_until, poll.closed_at || null, poll.is_active,
+          poll.type, poll.min_selections, poll.max_selections, poll.allow_vote_change, poll.require_auth,
+          poll.visibility, poll.secret_ballot, poll.results_visibility, poll.duplicate_check
+        ]
+      ],
+      ...options.map((opt, index) => [
+        `INSERT INTO options (id, poll_id, text, position) VALUES (?, ?, ?, ?)`,
+        [opt.id, poll.id, opt.text, index]
+      ]),
+      ...invites.map(username => [
+        `INSERT INTO poll_invites (poll_id, username, created_at) VALUES (?, ?, ?)`,
+        [poll.id, username, poll.created_at]
+      ])
+    ]))),
+
+    // Change some of a poll's columns. Resolves with the number of polls changed.
+    update: (id, changes) => {
+      const set = setClause(changes, POLL_COLUMNS);
+      return run(`UPDATE polls SET ${set.sql} WHERE id = ?`, [...set.params, id]).then(result => result.changes);
+    },
+
+    // Edit a poll in one transaction: change columns, and when `options` is given replace
+    // the option list with it (in display order; entries with `isNew` are inserted, the
+    // others renamed). Options in removedOptionIds are deleted with their votes, closing the
+    // gaps left in ranked ballots, and selection limits are kept within the new option count.
+    // The edit is rolled back with an Error whose code is 'ESELECTIONS' (and `ballots`, the
+    // number of ballots concerned) when a removal would leave ballots with fewer choices
+    // than the poll's minimum, as they would no longer be valid.
+    edit: (poll, { changes = {}, options, removedOptionIds = [] }) => {
+      const statements = [];
+      const set = setClause(changes, POLL_COLUMNS);
+
+      if (set.params.length > 0) {
+        statements.push([`UPDATE polls SET ${set.sql} WHERE id = ?`, [...set.params, poll.id]]);
+      }
+
+      if (options) {
+        removedOptionIds.forEach(id => {
+          statements.push([`DELETE FROM votes WHERE option_id = ?`, [id]]);
+          statements.push([`DELETE FROM secret_ballots WHERE option_id = ?`, [id]]);
+          statements.push([`DELETE FROM options WHERE id = ?`, [id]]);
+        });
+
+        // Open-poll voters whose whole ballot went with the removed options may vote again
+        if (removedOptionIds.length > 0 && poll.secret_ballot !== 1) {
+          statements.push([
+            `DELETE FROM participations WHERE poll_id = ? AND NOT EXISTS (
+               SELECT 1 FROM votes v WHERE v.poll_id = participations.poll_id AND v.username = participations.username
+             )`,
+            [poll.id]
+          ]);
+        }
+
+        if (removedOptionIds.length > 0 && poll.type === 'ranked') {
+          statements.push(poll.secret_ballot === 1 ? [
+            `UPDATE secret_ballots SET rank = (
+               SELECT COUNT(*) FROM secret_ballots b2
+               WHERE b2.poll_id = secret_ballots.poll_id AND b2.ballot_id = secret_ballots.ballot_id AND b2.rank <= secret_ballots.rank
+             ) WHERE poll_id = ?`,
+            [poll.id]
+          ] : [
+            `UPDATE votes SET rank = (
+               SELECT COUNT(*) FROM votes v2
+               WHERE v2.poll_id = votes.poll_id AND v2.username = votes.username AND v2.rank <= votes.rank
+             ) WHERE poll_id = ?`,
+            [poll.id]
+          ]);
+        }
+
+        options.forEach((opt, position) => {
+          statements.push(opt.isNew ? [
+            `INSERT INTO options (id, poll_id, text, position) VALUES (?, ?, ?, ?)`,
+            [opt.id, poll.id, opt.text, position]
+          ] : [
+            `UPDATE options SET text = ?, position = ? WHERE id = ?`,
+            [opt.text, position, opt.id]
+          ]);
+        });
+
+        if (poll.type !== 'single') {
+          statements.push([
+            `UPDATE polls SET min_selections = MIN(min_selections, ?), max_selections = MIN(max_selections, ?) WHERE id = ?`,
+            [options.length, options.length, poll.id]
+          ]);
+        }
+      }
+
+      if (removedOptionIds.length === 0 || poll.type === 'single') {
+        return transaction(statements);
+      }
+
+      return transaction(({ execute, get }) => executeAll(execute, statements)
+        .then(() => get(
+          `SELECT COUNT(*) AS ballots FROM (
+             SELECT ballot_id FROM ballot_choices WHERE poll_id = ?
+             GROUP BY ballot_id
+             HAVING COUNT(*) < (SELECT min_selections FROM polls WHERE id = ?)
+           )`,
+          [poll.id, poll.id]
+        ))
+        .then(({ ballots }) => {
+          if (ballots > 0) {
+            const err = new Error(`${ballots} ballot(s) would have fewer choices than the poll's minimum`);
+            err.code = 'ESELECTIONS';
+            err.ballots = ballots;
+            throw err;
+          }
+        }));
+    },
+
+    // Delete a poll together with its votes, vote history, invites, audit seals and options
+    delete: (id) => transaction([
+      [`DELETE FROM votes WHERE poll_id = ?`, [id]],
+      [`DELETE FROM vote_history WHERE poll_id = ?`, [id]],
+      [`DELETE FROM participations WHERE poll_id = ?`, [id]],
+      [`DELETE FROM secret_ballots WHERE poll_id = ?`, [id]],
+      [`DELETE FROM poll_invites WHERE poll_id = ?`, [id]],
+      [`DELETE FROM vote_fingerprints WHERE poll_id = ?`, [id]],
+      [`DELETE FROM audit_seals WHERE poll_id = ?`, [id]],
+      [`DELETE FROM options WHERE poll_id = ?`, [id]],
+      [`DELETE FROM polls WHERE id = ?`, [id]]
+    ])
+  };
+
+  const options = {
+    // A poll's options in display order: [{ id, text }]
+    list: (pollId) => all(`SELECT id, text FROM options WHERE poll_id = ? ORDER BY position`, [pollId]),
+
+    // IDs of a poll's options
+    listIds: (pollId) => all(`SELECT id FROM options WHERE poll_id = ?`, [pollId])
+      .then(rows => rows.map(row => row.id)),
+
+    // A poll's options in display order with first-preference vote counts (ranked ballots
+    // only count their top choice): [{ id, text, votes }]
+    tallies: (pollId) => all(
+      `SELECT o.id, o.text, COUNT(v.option_id) as votes
+       FROM options o
+       LEFT JOIN ballot_choices v ON o.id = v.option_id AND (v.rank IS NULL OR v.rank = 1)
+       WHERE o.poll_id = ?
+       GROUP BY o.id
+       ORDER BY o.position`,
+      [pollId]
+    ),
+
+    // tallies() for several polls in one query: [{ id, poll_id, text, votes }]
+    talliesForPolls: (pollIds) => all(
+      `SELECT o.id, o.poll_id, o.text, COUNT(v.option_id) as votes
+       FROM options o
+       LEFT JOIN ballot_choices v ON o.id = v.option_id AND (v.rank IS NULL OR v.rank = 1)
+       WHERE o.poll_id IN (${pollIds.map(() => '?').join(', ')})
+       GROUP BY o.id
+       ORDER BY o.position`,
+      pollIds
+    ),
+
+    // A poll's options with the number of ballots that chose them at any rank
+    listWithVotes: (pollId) => all(
+      `SELECT o.id, COUNT(v.option_id) as votes
+       FROM options o
+       LEFT JOIN ballot_choices v ON o.id = v.option_id
+       WHERE o.poll_id = ?
+       GROUP BY o.id`,
+      [pollId]
+    )
+  };
+
+  const votes = {
+    // A voter's current ballot, as option IDs in preference order
+    findBallot: (pollId, username) => all(
+      `SELECT option_id FROM votes WHERE poll_id = ? AND username = ? ORDER BY rank, id`,
+      [pollId, username]
+    ).then(rows => rows.map(row => row.option_id)),
+
+    // Whether a user voted in a poll (open or secret ballot)
+    hasVoted: (pollId, username) => get(
+      `SELECT 1 FROM poll_voters WHERE poll_id = ? AND username = ?`,
+      [pollId, username]
+    ).then(row => !!row),
+
+    // The IDs among pollIds of the polls a user voted in
+    votedPollIds: (username, pollIds) => all(
+      `SELECT poll_id FROM poll_voters WHERE username = ? AND poll_id IN (${pollIds.map(() => '?').join(', ')})`,
+      [username, ...pollIds]
+    ).then(rows => rows.map(row => row.poll_id)),
+
+    // The usernames among `usernames` that voted in a poll
+    votersAmong: (pollId, usernames) => (usernames.length === 0 ? Promise.resolve([]) : all(
+      `SELECT username FROM poll_voters WHERE poll_id = ? AND username IN (${usernames.map(() => '?').join(', ')})`,
+      [pollId, ...usernames]
+    ).then(rows => rows.map(row => row.username))),
+
+    // Number of distinct ballots cast in a poll
+    countBallots: (pollId) => get(
+      `SELECT COUNT(DISTINCT ballot_id) as voters FROM ballot_choices WHERE poll_id = ?`,
+      [pollId]
+    ).then(row => row.voters),
+
+    // countBallots() for several polls: [{ poll_id, voters }] (polls without ballots are left out)
+    countBallotsForPolls: (pollIds) => all(
+      `SELECT poll_id, COUNT(DISTINCT ballot_id) as voters
+       FROM ballot_choices
+       WHERE poll_id IN (${pollIds.map(() => '?').join(', ')})
+       GROUP BY poll_id`,
+      pollIds
+    ),
+
+    // Every ballot row of a poll, grouped by ballot in preference order: [{ ballot_id, option_id }]
+    listBallotChoices: (pollId) => all(
+      `SELECT ballot_id, option_id FROM ballot_choices WHERE poll_id = ? ORDER BY ballot_id, rank`,
+      [pollId]
+    ),
+
+    // listBallotChoices() for several polls: [{ poll_id, ballot_id, option_id }]
+    listBallotChoicesForPolls: (pollIds) => all(
+      `SELECT poll_id, ballot_id, option_id
+       FROM ballot_choices
+       WHERE poll_id IN (${pollIds.map(() => '?').join(', ')})
+       ORDER BY poll_id, ballot_id, rank`,
+      pollIds
+    ),
+
+    // Number of ballots per time bucket (a key of ACTIVITY_BUCKETS), by when each voter
+    // cast or last changed their ballot: [{ bucket, ballots }] in time order, empty buckets
+    // left out. Secret-ballot polls count participations.
+    ballotActivity: (poll, bucket) => all(
+      poll.secret_ballot === 1
+        ? `SELECT strftime(?, voted_at) AS bucket, COUNT(*) AS ballots
+           FROM participations
+           WHERE poll_id = ?
+           GROUP BY bucket
+           ORDER BY bucket`
+        : `SELECT strftime(?, voted_at) AS bucket, COUNT(DISTINCT username) AS ballots
+           FROM votes
+           WHERE poll_id = ?
+           GROUP BY bucket
+           ORDER BY bucket`,
+      [ACTIVITY_BUCKETS[bucket], poll.id]
+    ),
+
+    // Votes per option and time bucket, counted like options.tallies() (first preferences
+    // of ranked ballots): [{ bucket, option_id, votes }] in time order. Secret ballots carry
+    // no vote time, so secret-ballot polls have none.
+    optionActivity: (poll, bucket) => (poll.secret_ballot === 1 ? Promise.resolve([]) : all(
+      `SELECT strftime(?, voted_at) AS bucket, option_id, COUNT(*) AS votes
+       FROM votes
+       WHERE poll_id = ? AND (rank IS NULL OR rank = 1)
+       GROUP BY bucket, option_id
+       ORDER BY bucket`,
+      [ACTIVITY_BUCKETS[bucket], poll.id]
+    )),
+
+    // The individual vote records of a poll in the order they were cast. Secret-ballot
+    // polls only have anonymous ballots: their records carry the random ballot ID in place
+    // of the username, no vote time, and come in ballot ID order.
+    listRecords: (poll) => all(
+      poll.secret_ballot === 1
+        ? `SELECT b.poll_id, b.option_id, o.text as option_text, b.ballot_id as username, b.rank, NULL as voted_at
+           FROM secret_ballots b
+           JOIN options o ON o.id = b.option_id
+           WHERE b.poll_id = ?
+           ORDER BY b.ballot_id, b.rank`
+        : `SELECT v.poll_id, v.option_id, o.text as option_text, v.username, v.rank, v.voted_at
+           FROM votes v
+           JOIN options o ON o.id = v.option_id
+           WHERE v.poll_id = ?
+           ORDER BY v.id`,
+      [poll.id]
+    ),
+
+    // The vote rows of every poll a user voted in, newest first, with the poll's question,
+    // type and timing. Secret-ballot polls have a single row without an option.
+    listByVoter: (username) => all(
+      `SELECT * FROM (
+         SELECT v.poll_id, v.option_id, v.rank, v.voted_at, o.text AS option_text,
+                p.question, p.type, p.start_at, p.active_until, p.is_active, p.secret_ballot
+         FROM votes v
+         JOIN polls p ON p.id = v.poll_id
+         JOIN options o ON o.id = v.option_id
+         WHERE v.username = ?
+         UNION ALL
+         SELECT pa.poll_id, NULL, NULL, pa.voted_at, NULL,
+                p.question, p.type, p.start_at, p.active_until, p.is_active, p.secret_ballot
+         FROM participations pa
+         JOIN polls p ON p.id = pa.poll_id
+         WHERE pa.username = ? AND p.secret_ballot = 1
+       )
+       ORDER BY voted_at DESC, poll_id, rank`,
+      [username, username]
+    ),
+
+    // Replace a voter's ballot (an empty ballot retracts the vote) and record the change
+    // in the vote history. action is one of 'cast', 'change' or 'retract'. Resolves with
+    // the ballot it replaced, read inside the same transaction, so that concurrent changes
+    // by one voter each see the ballot the other left. Every ballot has a participation
+    // row, unique per voter and poll, so a second 'cast' by the same voter fails with
+    // SQLITE_CONSTRAINT; a 'change' or 'retract' when the voter has no ballot (it was
+    // retracted in the meantime) fails with an Error whose code is 'ENOBALLOT'.
+    // Secret-ballot polls can only be cast once: the participation and the anonymous ballot
+    // (under a random ballot ID) are written separately and no history is kept.
+    write: (poll, username, ballot, action) => {
+      const now = new Date().toISOString();
+      const rank = (index) => (poll.type === 'ranked' ? index + 1 : null);
+
+      if (poll.secret_ballot === 1) {
+        const ballotId = crypto.randomBytes(16).toString('hex');
+        return transaction([
+          [`INSERT INTO participations (poll_id, username, voted_at) VALUES (?, ?, ?)`, [poll.id, username, now]],
+          ...ballot.map((id, index) => [
+            `INSERT INTO secret_ballots (poll_id, ballot_id, option_id, rank) VALUES (?, ?, ?, ?)`,
+            [poll.id, ballotId, id, rank(index)]
+          ])
+        ]).then(() => []);
+      }
+
+      return transaction(({ execute, all }) => all(
+        `SELECT option_id FROM votes WHERE poll_id = ? AND username = ? ORDER BY rank, id`,
+        [poll.id, username]
+      ).then(rows => {
+        const previousBallot = rows.map(row => row.option_id);
+        if (action !== 'cast' && previousBallot.length === 0) {
+          const err = new Error(`${username} has no ballot in poll ${poll.id}`);
+          err.code = 'ENOBALLOT';
+          throw err;
+        }
+
+        // Only a change or retraction replaces an earlier ballot: a cast never deletes one,
+        // so of two racing casts the second fails instead of replacing the first
+        const statements = action === 'cast'
+          ? [[`INSERT INTO participations (poll_id, username, voted_at) VALUES (?, ?, ?)`, [poll.id, username, now]]]
+          : [[`DELETE FROM votes WHERE poll_id = ? AND username = ?`, [poll.id, username]]];
+
+        if (action === 'retract') {
+          statements.push([`DELETE FROM participations WHERE poll_id = ? AND username = ?`, [poll.id, username]]);
+        }
+
+        statements.push(
+          ...ballot.map((id, index) => [
+            `INSERT INTO votes (poll_id, option_id, username, voted_at, rank) VALUES (?, ?, ?, ?, ?)`,
+            [poll.id, id, username, now, rank(index)]
+          ])
+        );
+
+        // A retracted vote no longer counts against the voter's IP address or device
+        if (ballot.length === 0) {
+          statements.push([`DELETE FROM vote_fingerprints WHERE poll_id = ? AND username = ?`, [poll.id, username]]);
+        }
+
+        statements.push([
+          `INSERT INTO vote_history (poll_id, username, action, option_ids, previous_option_ids, recorded_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            poll.id,
+            username,
+            action,
+            ballot.length ? JSON.stringify(ballot) : null,
+            previousBallot.length ? JSON.stringify(previousBallot) : null,
+            now
+          ]
+        ]);
+
+        return executeAll(execute, statements).then(() => previousBallot);
+      }));
+    },
+
+    // Record the fingerprint of an anonymous voter's IP address or device for a poll.
+    // Resolves with false when that fingerprint has already voted.
+    claimFingerprint: (pollId, fingerprint, username) => run(
+      `INSERT OR IGNORE INTO vote_fingerprints (poll_id, fingerprint, username, created_at) VALUES (?, ?, ?, ?)`,
+      [pollId, fingerprint, username, new Date().toISOString()]
+    ).then(result => result.changes === 1),
+
+    // Forget the fingerprints recorded for a voter in a poll
+    releaseFingerprints: (pollId, username) => run(
+      `DELETE FROM vote_fingerprints WHERE poll_id = ? AND username = ?`,
+      [pollId, username]
+    ),
+
+    // A poll's vote history (see write()), oldest first
+    history: (pollId) => all(`SELECT * FROM vote_history WHERE poll_id = ? ORDER BY id`, [pollId])
+  };
+
+  // Invitations to private polls
+  const invites = {
+    // A poll's invites, in invitation order: [{ username, created_at }]
+    list: (pollId) => all(
+      `SELECT username, created_at FROM poll_invites WHERE poll_id = ? ORDER BY created_at, username`,
+      [pollId]
+    ),
+
+    // Whether a user is invited to a poll
+    exists: (pollId, username) => get(
+      `SELECT 1 FROM poll_invites WHERE poll_id = ? AND username = ?`,
+      [pollId, username]
+    ).then(row => !!row),
+
+    // Invite users to a poll; users already invited keep their original invite
+    add: (pollId, usernames, invitedAt) => transaction(usernames.map(username => [
+      `INSERT OR IGNORE INTO poll_invites (poll_id, username, created_at) VALUES (?, ?, ?)`,
+      [pollId, username, invitedAt]
+    ])),
+
+    // Withdraw a user's invite. Resolves with false when there was none.
+    remove: (pollId, username) => run(
+      `DELETE FROM poll_invites WHERE poll_id = ? AND username = ?`,
+      [pollId, username]
+    ).then(result => result.changes > 0)
+  };
+
+  // Login sessions. Access tokens carry their session's ID, and a session stays valid
+  // until it is revoked.
+  const sessions = {
+    create: (id, userId, createdAt) => run(
+      `INSERT INTO sessions (id, user_id, created_at) VALUES (?, ?, ?)`,
+      [id, userId, createdAt]
+    ),
+
+    // A session with its user's username and disabled flag
+    findById: (id) => get(
+      `SELECT s.*, u.username, u.disabled FROM sessions s JOIN users u ON u.id = s.user_id WHERE s.id = ?`,
+      [id]
+    ),
+
+    // Revoke one session
+    revoke: (id, revokedAt) => run(
+      `UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL`,
+      [revokedAt, id]
+    ),
+
+    // Revoke every session of a user
+    revokeAll: (userId, revokedAt) => run(
+      `UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL`,
+      [revokedAt, userId]
+    )
+  };
+
+  // Refresh tokens, stored by hash. Each can be used once (see markUsed()).
+  const refreshTokens = {
+    create: ({ sessionId, tokenHash, createdAt, expiresAt }) => run(
+      `INSERT INTO refresh_tokens (session_id, token_hash, created_at, expires_at) VALUES (?, ?, ?, ?)`,
+      [sessionId, tokenHash, createdAt, expiresAt]
+    ),
+
+    // The token with this hash, along with its session's user_id and revoked_at and the
+    // user's username, role and disabled flag
+    findByHash: (tokenHash) => get(
+      `SELECT rt.*, s.user_id, s.revoked_at, u.username, u.role, u.disabled
+       FROM refresh_tokens rt
+       JOIN sessions s ON s.id = rt.session_id
+       JOIN users u ON u.id = s.user_id
+       WHERE rt.token_hash = ?`,
+      [tokenHash]
+    ),
+
+    // Mark a token as used. Resolves with false when it already was (another request
+    // rotated it first).
+    markUsed: (id, usedAt) => run(
+      `UPDATE refresh_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL`,
+      [usedAt, id]
+    ).then(result => result.changes > 0)
+  };
+
+  // Signing keys the server generated for itself, as PEM
+  const serverKeys = {
+    find: (name) => get(`SELECT * FROM server_keys WHERE name = ?`, [name]),
+
+    // Store a key unless one with this name exists (another process may have created it
+    // first); find() it afterwards to get the one kept
+    create: (name, privateKey, createdAt) => run(
+      `INSERT OR IGNORE INTO server_keys (name, private_key, created_at) VALUES (?, ?, ?)`,
+      [name, privateKey, createdAt]
+    )
+  };
+
+  // Signed hash chain heads of polls' votes, recorded each time a poll closes
+  const auditSeals = {
+    create: ({ pollId, closedAt, voteCount, genesis, head, anonymizedHead, signature, publicKey, createdAt }) => run(
+      `INSERT INTO audit_seals (poll_id, closed_at, vote_count, genesis, head, anonymized_head, signature, public_key, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [pollId, closedAt, voteCount, genesis, head, anonymizedHead, signature, publicKey, createdAt]
+    ),
+
+    // A poll's latest seal
+    findLatest: (pollId) => get(`SELECT * FROM audit_seals WHERE poll_id = ? ORDER BY id DESC LIMIT 1`, [pollId])
+  };
+
+  // The log of privileged actions
+  const auditLog = {
+    record: ({ actor, action, targetType, targetId, details, createdAt }) => run(
+      `INSERT INTO audit_log (actor, action, target_type, target_id, details, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+      [actor, action, targetType, String(targetId), details ? JSON.stringify(details) : null, createdAt]
+    ),
+
+    // The latest `limit` entries, newest first, optionally only those of an actor and/or
+    // about a target ID
+    list: ({ actor, targetId, limit }) => {
+      const conditions = [];
+      const params = [];
+
+      if (actor) {
+        conditions.push('actor = ?');
+        params.push(actor);
+      }
+
+      if (targetId) {
+        conditions.push('target_id = ?');
+        params.push(targetId);
+      }
+
+      return all(
+        `SELECT * FROM audit_log
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY id DESC LIMIT ?`,
+        [...params, limit]
+      );
+    }
+  };
+
+  // Outgoing webhooks and their deliveries. `events` is stored as a JSON array.
+  const webhooks = {
+    list: (username) => all(`SELECT * FROM webhooks WHERE username = ? ORDER BY id`, [username]),
+
+    // A user's webhook
+    find: (id, username) => get(`SELECT * FROM webhooks WHERE id = ? AND username = ?`, [id, username]),
+
+    // Resolves with the new webhook's ID
+    create: ({ username, url, secret, events, allPolls, createdAt }) => run(
+      `INSERT INTO webhooks (username, url, secret, events, all_polls, active, created_at)
+       VALUES (?, ?, ?, ?, ?, 1, ?)`,
+      [username, url, secret, events, allPolls ? 1 : 0, createdAt]
+    ).then(result => result.lastID),
+
+    update: (id, { url, events, active }) => run(
+      `UPDATE webhooks SET url = ?, events = ?, active = ? WHERE id = ?`,
+      [url, events, active, id]
+    ),
+
+    // Delete a webhook and its delivery log
+    remove: (id) => transaction([
+      [`DELETE FROM webhook_deliveries WHERE webhook_id = ?`, [id]],
+      [`DELETE FROM webhooks WHERE id = ?`, [id]]
+    ]),
+
+    // The active webhooks (of enabled users) that receive the events of polls created by
+    // `username`: that user's own, plus the all-polls webhooks of users with one of
+    // `allPollsRoles`. [{ id, events }]
+    listForPoll: (username, allPollsRoles) => all(
+      `SELECT w.id, w.events FROM webhooks w
+       JOIN users u ON u.username = w.username
+       WHERE w.active = 1 AND u.disabled = 0 AND
+         (w.username = ? OR (w.all_polls = 1 AND u.role IN (${allPollsRoles.map(() => '?').join(', ')})))`,
+      [username, ...allPollsRoles]
+    ),
+
+    createDelivery: ({ id, webhookId, event, payload, createdAt }) => run(
+      `INSERT INTO webhook_deliveries (id, webhook_id, event, payload, status, attempts, created_at)
+       VALUES (?, ?, ?, ?, 'pending', 0, ?)`,
+      [id, webhookId, event, payload, createdAt]
+    ),
+
+    findDelivery: (id) => get(`SELECT * FROM webhook_deliveries WHERE id = ?`, [id]),
+
+    // A delivery with its webhook's url, secret and active flag
+    findDeliveryTarget: (id) => get(
+      `SELECT d.*, w.url, w.secret, w.active
+       FROM webhook_deliveries d
+       JOIN webhooks w ON w.id = d.webhook_id
+       WHERE d.id = ?`,
+      [id]
+    ),
+
+    // Record the outcome of a delivery attempt
+    updateDelivery: (id, { status, attempts, statusCode, error, nextAttemptAt, lastAttemptAt }) => run(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = ?, status_code = ?, error = ?, next_attempt_at = ?, last_attempt_at = ?
+       WHERE id = ?`,
+      [status, attempts, statusCode, error, nextAttemptAt, lastAttemptAt, id]
+    ),
+
+    // A webhook's latest `limit` deliveries, newest first, optionally only those with `status`
+    listDeliveries: (webhookId, { status, limit }) => all(
+      `SELECT * FROM webhook_deliveries
+       WHERE webhook_id = ? ${status ? 'AND status = ?' : ''}
+       ORDER BY created_at DESC LIMIT ?`,
+      [webhookId, ...(status ? [status] : []), limit]
+    ),
+
+    // Deliveries still waiting for an attempt: [{ id, next_attempt_at, created_at }]
+    listPendingDeliveries: () => all(
+      `SELECT id, next_attempt_at, created_at FROM webhook_deliveries WHERE status = 'pending'`
+    )
+  };
+
+  // Saved poll templates. `options` and `settings` are stored as JSON, and names are unique
+  // per user: create() and update() reject with SQLITE_CONSTRAINT on a name already taken.
+  const templates = {
+    // A user's templates by name
+    list: (username) => all(`SELECT * FROM poll_templates WHERE username = ? ORDER BY name, id`, [username]),
+
+    // A user's template
+    find: (id, username) => get(`SELECT * FROM poll_templates WHERE id = ? AND username = ?`, [id, username]),
+
+    // Resolves with the new template's ID
+    create: ({ username, name, question, options, durationMinutes, settings, createdAt }) => run(
+      `INSERT INTO poll_templates (username, name, question, options, duration_minutes, settings, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [username, name, question, options, durationMinutes, settings, createdAt, createdAt]
+    ).then(result => result.lastID),
+
+    update: (id, { name, question, options, durationMinutes, settings, updatedAt }) => run(
+      `UPDATE poll_templates SET name = ?, question = ?, options = ?, duration_minutes = ?, settings = ?, updated_at = ?
+       WHERE id = ?`,
+      [name, question, options, durationMinutes, settings, updatedAt, id]
+    ),
+
+    remove: (id) => run(`DELETE FROM poll_templates WHERE id = ?`, [id])
+  };
+
+  return {
+    db,
+    run,
+    get,
+    all,
+    transaction,
+    users,
+    polls,
+    options,
+    votes,
+    invites,
+    sessions,
+    refreshTokens,
+    auditLog,
+    auditSeals,
+    serverKeys,
+    webhooks,
+    templates,
+
+    // Bring the schema up to date. Resolves with the migrations applied.
+    migrate: () => new Promise((resolve, reject) => {
+      runMigrations(db, {}, (err, applied) => (err ? reject(err) : resolve(applied)));
+    }),
+
+    close: () => new Promise((resolve, reject) => {
+      db.close((err) => (err ? reject(err) : resolve()));
+    })
+  };
+};
+
+module.exports = { createStorage, POLL_STATUS_FILTERS, POLL_SORT_KEYS, ACTIVITY_BUCKETS };
@@ -0,0 +1,324 @@
+// Live result tallies
+// Running vote counts per poll, kept in memory so that a vote doesn't have to re-run the
+// results query. seed() loads the polls that haven't ended when the server starts; any
+// other poll is loaded from the database the first time it's needed.
+//
+// Changes are coalesced: the first change to a poll since its last broadcast arms a timer,
+// and when it fires after `interval` milliseconds onFlush(pollId, delta) is called once
+// with every option whose count changed in between. Each flush gets the poll's next
+// sequence number (seq), and snapshot() returns the results as of the latest flush with
+// its seq, so a client that sees a gap in the sequence can fetch a snapshot and carry on
+// from there.
+//
+// Deltas look like { pollId, seq, full, changes: [{ id, votes }], ... } with the new
+// count of each changed option; `full` is set when they list every option (the tally was
+// (re)loaded since the last broadcast: the poll wasn't in memory yet, or its options were
+// edited). Multiple-choice polls add totalVoters and
+// totalSelections, ranked polls the instant-runoff outcome (rounds, winner, tied,
+// totalBallots), which can't be updated incrementally.
+const crypto = require('crypto');
+
+// Run an instant-runoff count over ranked ballots (arrays of option IDs, best first).
+// Every round the option with the fewest votes is eliminated and its ballots transfer to
+// the next remaining preference, until one option holds a majority. When several options
+// share the fewest votes, the one with fewer votes in the latest earlier round where they
+// differed goes, and failing that the one listed last. If every remaining option has the
+// same count the count stops there and they are tied.
+const tallyRankedChoice = (options, ballots) => {
+  const remaining = new Set(options.map(opt => opt.id));
+  const position = new Map(options.map((opt, index) => [opt.id, index]));
+  const rounds = [];
+  let winner = null;
+  let tied = [];
+
+  while (remaining.size > 0) {
+    const counts = {};
+    remaining.forEach(id => { counts[id] = 0; });
+
+    let exhausted = 0;
+    ballots.forEach(ballot => {
+      const choice = ballot.find(id => remaining.has(id));
+      if (choice) {
+        counts[choice]++;
+      } else {
+        exhausted++;
+      }
+    });
+
+    const tallies = options
+      .filter(opt => remaining.has(opt.id))
+      .map(opt => ({ id: opt.id, text: opt.text, votes: counts[opt.id] }));
+    const round = { round: rounds.length + 1, tallies, exhausted, eliminated: [] };
+    rounds.push(round);
+
+    const activeBallots = ballots.length - exhausted;
+    if (activeBallots === 0) {
+      break;
+    }
+
+    const leader = tallies.reduce((best, t) => (t.votes > best.votes ? t : best));
+    if (leader.votes * 2 > activeBallots) {
+      winner = { id: leader.id, text: leader.text, votes: leader.votes };
+      break;
+    }
+
+    const fewest = Math.min(...tallies.map(t => t.votes));
+    const lowest = tallies.filter(t => t.votes === fewest);
+    if (lowest.length === tallies.length) {
+      tied = lowest.map(t => t.id);
+      break;
+    }
+
+    // Votes of an option in an earlier round (every option still in the count was in it)
+    const votesIn = (earlier, id) => earlier.tallies.find(t => t.id === id).votes;
+    const eliminated = lowest.reduce((loser, t) => {
+      for (let index = rounds.length - 2; index >= 0; index--) {
+        const difference = votesIn(rounds[index], t.id) - votesIn(rounds[index], loser.id);
+        if (difference !== 0) {
+          return difference < 0 ? t : loser;
+        }
+      }
+      return position.get(t.id) > position.get(loser.id) ? t : loser;
+    });
+
+    round.eliminated = [eliminated.id];
+    remaining.delete(eliminated.id);
+  }
+
+  return { rounds, winner, tied, totalBallots: ballots.length };
+};
+
+// A poll's results in the API format from its per-option counts ([{ id, text, votes }],
+// first preferences for ranked polls), number of voters and (ranked polls) ballots
+const summarizeResults = (type, results, totalVoters, ballots) => {
+  if (type === 'multiple') {
+    // Voters can pick several options, so percentages are relative to voters, not selections
+    return {
+      type: 'multiple',
+      results: results.map(result => ({
+        ...result,
+        percentage: totalVoters ? Math.round((result.votes / totalVoters) * 1000) / 10 : 0
+      })),
+      totalVoters,
+      totalSelections: results.reduce((sum, result) => sum + result.votes, 0)
+    };
+  }
+
+  if (type === 'ranked') {
+    return { type: 'ranked', results, ...tallyRankedChoice(results, ballots) };
+  }
+
+  return results;
+};
+
+const createTallies = ({ storage, interval = 1000, onFlush = () => {} }) => {
+  // pollId -> { type, options, votes: Map(optionId -> count), voters, ballots, published, seq }
+  // where `ballots` (ranked polls only) maps a voter's key to their ballot, and
+  // `published` is the { votes, voters, ballots } broadcast last (null after a reload)
+  const tallies = new Map();
+  const loading = new Map();
+  const timers = new Map();
+
+  const copyState = (tally) => ({
+    votes: new Map(tally.votes),
+    voters: tally.voters,
+    ballots: tally.ballots && new Map(tally.ballots)
+  });
+
+  // Build a tally from a poll's option rows ([{ id, text, votes }]), voter count and
+  // ballot rows ([{ ballot_id, option_id }] in preference order, ranked polls only)
+  const buildTally = (poll, optionRows, voters, ballotRows, previous) => {
+    let ballots = null;
+    if (poll.type === 'ranked') {
+      ballots = new Map();
+      ballotRows.forEach(row => {
+        if (!ballots.has(row.ballot_id)) {
+          ballots.set(row.ballot_id, []);
+        }
+        ballots.get(row.ballot_id).push(row.option_id);
+      });
+    }
+
+    return {
+      type: poll.type,
+      options: optionRows.map(row => ({ id: row.id, text: row.text })),
+      votes: new Map(optionRows.map(row => [row.id, row.votes])),
+      voters,
+      ballots,
+      published: null,
+      seq: previous ? previous.seq : 0
+    };
+  };
+
+  const results = (tally, state) => summarizeResults(
+    tally.type,
+    tally.options.map(opt => ({ ...opt, votes: state.votes.get(opt.id) || 0 })),
+    state.voters,
+    state.ballots ? [...state.ballots.values()] : []
+  );
+
+  // Broadcast a poll's changes since the last flush
+  const flush = (pollId) => {
+    timers.delete(pollId);
+    const tally = tallies.get(pollId);
+    if (!tally) {
+      return;
+    }
+
+    const { published } = tally;
+    const changes = tally.options
+      .filter(opt => !published || published.votes.get(opt.id) !== tally.votes.get(opt.id))
+      .map(opt => ({ id: opt.id, votes: tally.votes.get(opt.id) || 0 }));
+
+    tally.published = copyState(tally);
+    tally.seq += 1;
+
+    const summary = results(tally, tally.published);
+    const delta = { pollId, seq: tally.seq, full: !published, changes };
+    if (tally.type === 'multiple') {
+      delta.totalVoters = summary.totalVoters;
+      delta.totalSelections = summary.totalSelections;
+    } else if (tally.type === 'ranked') {
+      const { rounds, winner, tied, totalBallots } = summary;
+      Object.assign(delta, { rounds, winner, tied, totalBallots });
+    }
+    onFlush(pollId, delta);
+  };
+
+  const scheduleFlush = (pollId) => {
+    if (!timers.has(pollId)) {
+      timers.set(pollId, setTimeout(() => flush(pollId), interval));
+    }
+  };
+
+  // (Re)load a poll's tally from the database. A reloaded tally is broadcast in full.
+  const load = (poll) => {
+    if (loading.has(poll.id)) {
+      return loading.get(poll.id);
+    }
+
+    const pending = Promise.all([
+      storage.options.tallies(poll.id),
+      storage.votes.countBallots(poll.id),
+      poll.type === 'ranked' ? storage.votes.listBallotChoices(poll.id) : []
+    ]).then(([optionRows, voters, ballotRows]) => {
+      const previous = tallies.get(poll.id);
+      const tally = buildTally(poll, optionRows, voters, ballotRows, previous);
+      tallies.set(poll.id, tally);
+      if (previous) {
+        scheduleFlush(poll.id);
+      } else {
+        tally.published = copyState(tally);
+      }
+      return tally;
+    });
+
+    loading.set(poll.id, pending);
+    const done = () => loading.delete(poll.id);
+    pending.then(done, done);
+    return pending;
+  };
+
+  // A poll's tally, loading it when it isn't in memory yet
+  const get = (poll) => (tallies.has(poll.id) ? Promise.resolve(tallies.get(poll.id)) : load(poll));
+
+  // Load the tallies of every poll that hasn't ended (called at startup). Resolves with
+  // the number of polls loaded.
+  const seed = (now) => storage.polls.listLive(now).then(polls => {
+    if (polls.length === 0) {
+      return 0;
+    }
+
+    const pollIds = polls.map(poll => poll.id);
+    const rankedIds = polls.filter(poll => poll.type === 'ranked').map(poll => poll.id);
+    return Promise.all([
+      storage.options.talliesForPolls(pollIds),
+      storage.votes.countBallotsForPolls(pollIds),
+      rankedIds.length > 0 ? storage.votes.listBallotChoicesForPolls(rankedIds) : []
+    ]).then(([optionRows, voterRows, ballotRows]) => {
+      const byPoll = (rows) => rows.reduce((groups, row) => {
+        (groups[row.poll_id] = groups[row.poll_id] || []).push(row);
+        return groups;
+      }, {});
+      const options = byPoll(optionRows);
+      const ballots = byPoll(ballotRows);
+      const voters = {};
+      voterRows.forEach(row => { voters[row.poll_id] = row.voters; });
+
+      polls.forEach(poll => {
+        const tally = buildTally(poll, options[poll.id] || [], voters[poll.id] || 0, ballots[poll.id] || []);
+        tally.published = copyState(tally);
+        tallies.set(poll.id, tally);
+      });
+      return polls.length;
+    });
+  });
+
+  // Apply a voter's ballot change ({ key, ballot, previousBallot }: option IDs in preference
+  // order, an empty ballot for no vote) once it is stored. `key` identifies the voter's
+  // ballot in ranked polls (their username; null for a new secret ballot).
+  const record = (poll, { key, ballot, previousBallot }) => {
+    if (!tallies.has(poll.id)) {
+      // Loaded from the database, which already has this change; the first broadcast
+      // carries the whole tally
+      return get(poll).then(tally => {
+        tally.published = null;
+        scheduleFlush(poll.id);
+      });
+    }
+
+    const tally = tallies.get(poll.id);
+    const counted = (choices) => (tally.type === 'ranked' ? choices.slice(0, 1) : choices);
+    counted(previousBallot).forEach(id => tally.votes.set(id, (tally.votes.get(id) || 0) - 1));
+    counted(ballot).forEach(id => tally.votes.set(id, (tally.votes.get(id) || 0) + 1));
+
+    if (previousBallot.length === 0 && ballot.length > 0) {
+      tally.voters += 1;
+    } else if (previousBallot.length > 0 && ballot.length === 0) {
+      tally.voters -= 1;
+    }
+
+    if (tally.ballots) {
+      const ballotKey = key || crypto.randomBytes(16).toString('hex');
+      if (ballot.length > 0) {
+        tally.ballots.set(ballotKey, ballot);
+      } else {
+        tally.ballots.delete(ballotKey);
+      }
+    }
+
+    scheduleFlush(poll.id);
+    return Promise.resolve();
+  };
+
+  // A poll's current results, including changes that haven't been broadcast yet
+  const current = (poll) => get(poll).then(tally => results(tally, tally));
+
+  // A poll's results as of its latest broadcast: { seq, results } (`results` in the same
+  // format as the database results)
+  const snapshot = (poll) => get(poll).then(tally => ({
+    seq: tally.seq,
+    results: results(tally, tally.published || tally)
+  }));
+
+  // Forget a poll (it was deleted)
+  const remove = (pollId) => {
+    clearTimeout(timers.get(pollId));
+    timers.delete(pollId);
+    tallies.delete(pollId);
+  };
+
+  // Cancel the pending broadcasts
+  const close = () => {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  };
+
+  return { seed, load, record, current, snapshot, remove, close };
+};
+
+module.exports = {
+  createTallies,
+  summarizeResults,
+  tallyRankedChoice
+};
@@ -0,0 +1,623 @@
+// Smoke tests of the HTTP API against an in-memory database
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp, createStorage } = require('../index');
+
+let instance;
+let baseUrl;
+
+// Start the instance the requests below go to
+const startInstance = (storage) => new Promise((resolve, reject) => {
+  instance = createApp({ storage });
+  instance.start(0, (err) => {
+    if (err) {
+      return reject(err);
+    }
+    baseUrl = `http://localhost:${instance.server.address().port}/api`;
+    resolve();
+  });
+});
+
+const stopInstance = () => new Promise((resolve, reject) => {
+  instance.close(err => (err ? reject(err) : resolve()));
+});
+
+beforeEach(() => startInstance(createStorage({ memory: true })));
+
+afterEach(stopInstance);
+
+// Send a JSON request; resolves with { status, body }
+const request = (method, path, { body, token } = {}) => fetch(`${baseUrl}${path}`, {
+  method,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {})
+  },
+  body: body === undefined ? undefined : JSON.stringify(body)
+}).then(res => res.json().then(json => ({ status: res.status, body: json })));
+
+const register = (username) => request('POST', '/users/register', {
+  body: { username, password: 'correct-horse-battery' }
+}).then(({ status, body }) => {
+  assert.strictEqual(status, 201);
+  return body;
+});
+
+const createPoll = (token, definition = {}) => request('POST', '/polls', {
+  token,
+  body: { question: 'Lunch?', options: ['Pizza', 'Salad'], ...definition }
+}).then(({ status, body }) => {
+  assert.strictEqual(status, 201);
+  return body;
+});
+
+test('health check responds', async () => {
+  const { status } = await request('GET', '/health');
+  assert.strictEqual(status, 200);
+});
+
+test('a voter can vote once and the results count it', async () => {
+  const { token } = await register('alice');
+  const poll = await createPoll(token);
+  const optionId = poll.options[0].id;
+
+  const first = await request('POST', `/polls/${poll.id}/vote`, { token, body: { optionId } });
+  assert.strictEqual(first.status, 200);
+
+  const second = await request('POST', `/polls/${poll.id}/vote`, { token, body: { optionId } });
+  assert.strictEqual(second.status, 400);
+
+  const results = await request('GET', `/polls/${poll.id}/results`);
+  assert.deepStrictEqual(results.body.map(opt => opt.votes), [1, 0]);
+});
+
+test('multiple-choice polls enforce the selection limits and count voters separately', async () => {
+  const { token } = await register('alice');
+  const bob = await register('bob');
+
+  const invalid = await Promise.all([
+    { minSelections: 3, maxSelections: 2 },
+    { maxSelections: 5 }
+  ].map(limits => request('POST', '/polls', {
+    token,
+    body: { question: 'Toppings?', options: ['Ham', 'Olives', 'Onion', 'Basil'], type: 'multiple', ...limits }
+  })));
+  assert.deepStrictEqual(invalid.map(res => res.status), [400, 400]);
+  assert.deepStrictEqual(invalid.map(res => res.body.error.fields[0].field), ['minSelections', 'maxSelections']);
+
+  const poll = await createPoll(token, {
+    question: 'Toppings?',
+    options: ['Ham', 'Olives', 'Onion', 'Basil'],
+    type: 'multiple',
+    minSelections: 2,
+    maxSelections: 3
+  });
+  const [ham, olives, onion, basil] = poll.options.map(opt => opt.id);
+
+  const rejected = await Promise.all([[ham], [ham, olives, onion, basil], [ham, ham]].map(optionIds => (
+    request('POST', `/polls/${poll.id}/vote`, { token, body: { optionIds } })
+  )));
+  assert.deepStrictEqual(rejected.map(res => res.status), [400, 400, 400]);
+
+  await request('POST', `/polls/${poll.id}/vote`, { token, body: { optionIds: [ham, olives, onion] } });
+  await request('POST', `/polls/${poll.id}/vote`, { token: bob.token, body: { optionIds: [ham, basil] } });
+
+  const { body } = await request('GET', `/polls/${poll.id}/results`);
+  assert.strictEqual(body.totalVoters, 2);
+  assert.strictEqual(body.totalSelections, 5);
+  assert.deepStrictEqual(body.results.map(opt => [opt.votes, opt.percentage]), [[2, 100], [1, 50], [1, 50], [1, 50]]);
+});
+
+test('concurrent votes by the same voter count once', async () => {
+  const { token } = await register('alice');
+  const poll = await createPoll(token);
+
+  const responses = await Promise.all(poll.options.concat(poll.options).map(opt => (
+    request('POST', `/polls/${poll.id}/vote`, { token, body: { optionId: opt.id } })
+  )));
+  assert.strictEqual(responses.filter(res => res.status === 200).length, 1);
+  assert.ok(responses.every(res => [200, 400, 409].includes(res.status)));
+
+  const results = await request('GET', `/polls/${poll.id}/results`);
+  assert.strictEqual(results.body.reduce((sum, opt) => sum + opt.votes, 0), 1);
+});
+
+test('concurrent vote changes by the same voter keep the live results in step', async () => {
+  const { token } = await register('alice');
+  const poll = await createPoll(token, { options: ['A', 'B', 'C'], allowVoteChange: true });
+  const [a, b, c] = poll.options.map(opt => opt.id);
+
+  await request('POST', `/polls/${poll.id}/vote`, { token, body: { optionId: a } });
+  const changes = await Promise.all([b, c].map(optionId => (
+    request('PUT', `/polls/${poll.id}/vote`, { token, body: { optionId } })
+  )));
+  assert.deepStrictEqual(changes.map(res => res.status), [200, 200]);
+
+  // The live tally answers the next change; it must agree with the database
+  const last = await request('PUT', `/polls/${poll.id}/vote`, { token, body: { optionId: a } });
+  const stored = await request('GET', `/polls/${poll.id}/results`);
+  assert.deepStrictEqual(last.body.results.map(opt => opt.votes), [1, 0, 0]);
+  assert.deepStrictEqual(stored.body.map(opt => opt.votes), [1, 0, 0]);
+});
+
+test('a vote change racing a retraction is rejected with 409', async () => {
+  const { token } = await register('alice');
+  const poll = await createPoll(token, { allowVoteChange: true });
+  const [a, b] = poll.options.map(opt => opt.id);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    await request('POST', `/polls/${poll.id}/vote`, { token, body: { optionId: a } });
+    const [retracted, changed] = await Promise.all([
+      request('DELETE', `/polls/${poll.id}/vote`, { token }),
+      request('PUT', `/polls/${poll.id}/vote`, { token, body: { optionId: b } })
+    ]);
+    assert.strictEqual(retracted.status, 200);
+    assert.ok([200, 404, 409].includes(changed.status), `unexpected status ${changed.status}`);
+
+    // Whatever the order, the ballot ends up retracted unless the change came after
+    const results = await request('GET', `/polls/${poll.id}/results`);
+    const total = results.body.reduce((sum, opt) => sum + opt.votes, 0);
+    if (total === 1) {
+      await request('DELETE', `/polls/${poll.id}/vote`, { token });
+    }
+  }
+
+  // Only one of two racing retractions goes through
+  await request('POST', `/polls/${poll.id}/vote`, { token, body: { optionId: a } });
+  const retractions = await Promise.all([1, 2].map(() => request('DELETE', `/polls/${poll.id}/vote`, { token })));
+  assert.strictEqual(retractions.filter(res => res.status === 200).length, 1);
+  assert.ok(retractions.every(res => [200, 404, 409].includes(res.status)));
+});
+
+test('options can\'t be removed when ballots would drop below the minimum selections', async () => {
+  const { token } = await register('alice');
+  const bob = await register('bob');
+  const poll = await createPoll(token, {
+    options: ['A', 'B', 'C', 'D'], type: 'multiple', minSelections: 2, maxSelections: 3
+  });
+  const [a, b, c, d] = poll.options;
+
+  await request('POST', `/polls/${poll.id}/vote`, { token, body: { optionIds: [a.id, b.id] } });
+  await request('POST', `/polls/${poll.id}/vote`, { token: bob.token, body: { optionIds: [a.id, c.id, d.id] } });
+
+  const rejected = await request('PATCH', `/polls/${poll.id}`, { token, body: { options: [a, c, d], force: true } });
+  assert.strictEqual(rejected.status, 409);
+  assert.deepStrictEqual(rejected.body.error.optionIds, [b.id]);
+  const unchanged = await request('GET', `/polls/${poll.id}/results`);
+  assert.deepStrictEqual(unchanged.body.results.map(opt => opt.votes), [2, 1, 1, 1]);
+
+  // Bob still has two choices left without D
+  const edited = await request('PATCH', `/polls/${poll.id}`, { token, body: { options: [a, b, c], force: true } });
+  assert.strictEqual(edited.status, 200);
+  const results = await request('GET', `/polls/${poll.id}/results`);
+  assert.deepStrictEqual(results.body.results.map(opt => opt.votes), [2, 1, 1]);
+});
+
+test('poll lists page through every poll with cursors', async () => {
+  const { token } = await register('alice');
+  const created = [];
+  for (let index = 0; index < 5; index++) {
+    created.push((await createPoll(token, { question: `Question ${index}?` })).id);
+  }
+
+  const ids = [];
+  let cursor;
+  do {
+    const res = await fetch(`${baseUrl}/polls?limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.strictEqual(res.status, 200);
+    ids.push(...(await res.json()).map(poll => poll.id));
+    cursor = res.headers.get('X-Next-Cursor');
+  } while (cursor);
+
+  assert.deepStrictEqual(ids, created.reverse());
+});
+
+test('poll lists reject tampered and stale cursors', async () => {
+  const { token } = await register('alice');
+  for (let index = 0; index < 3; index++) {
+    await createPoll(token);
+  }
+
+  const first = await fetch(`${baseUrl}/polls?limit=1`);
+  const cursor = first.headers.get('X-Next-Cursor');
+  const encode = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+  for (const [query, description] of [
+    [`cursor=not-a-cursor`, 'garbage'],
+    [`cursor=${encode({ sort: 'created', key: { nested: true }, id: 1 })}`, 'wrong field types'],
+    [`cursor=${encode(['created', 'x', 'y'])}`, 'wrong shape'],
+    [`cursor=${encode({ sort: 'votes', key: 'many', id: 'poll-1' })}`, 'text vote count'],
+    [`sort=votes&cursor=${cursor}`, 'cursor of another sort']
+  ]) {
+    const { status, body } = await request('GET', `/polls?${query}`);
+    assert.strictEqual(status, 400, description);
+    assert.strictEqual(body.error.fields[0].field, 'cursor', description);
+  }
+});
+
+test('poll lists filter by status, creator, votes and search terms', async () => {
+  const alice = await register('alice');
+  const bob = await register('bob');
+  const lunch = await createPoll(alice.token, { question: 'Lunch today?', options: ['Pizza', 'Sushi'] });
+  const dinner = await createPoll(bob.token, { question: 'Dinner?', options: ['Pasta', 'Curry'] });
+  const later = await createPoll(alice.token, { question: 'Later?', startAt: new Date(Date.now() + 3600000).toISOString() });
+  await request('POST', `/polls/${dinner.id}/vote`, { token: alice.token, body: { optionId: dinner.options[0].id } });
+
+  const list = (query, token) => request('GET', `/polls?${query}`, { token }).then(res => res.body.map(poll => poll.id));
+
+  assert.deepStrictEqual(await list('status=upcoming'), [later.id]);
+  assert.deepStrictEqual(await list('status=active,upcoming&createdBy=alice'), [later.id, lunch.id]);
+  assert.deepStrictEqual(await list('votedByMe=true', alice.token), [dinner.id]);
+  assert.strictEqual((await request('GET', '/polls?votedByMe=true')).status, 401);
+  assert.deepStrictEqual(await list('q=sushi'), [lunch.id]);
+  assert.deepStrictEqual(await list('q=dinner%20curry'), [dinner.id]);
+  assert.deepStrictEqual(await list('q=lunch%20curry'), []);
+  assert.deepStrictEqual(await list('sort=votes&limit=1'), [dinner.id]);
+});
+
+test('polls created with requireAuth only accept votes from logged-in users', async () => {
+  const { token } = await register('alice');
+  const open = await createPoll(token);
+  const restricted = await createPoll(token, { requireAuth: true });
+  assert.strictEqual(restricted.requireAuth, true);
+
+  // Without strict mode anonymous voters name themselves and invalid tokens are ignored
+  const anonymous = await request('POST', `/polls/${open.id}/vote`, {
+    token: 'not-a-token',
+    body: { optionId: open.options[0].id, username: 'guest' }
+  });
+  assert.strictEqual(anonymous.status, 200);
+
+  const refused = await request('POST', `/polls/${restricted.id}/vote`, {
+    body: { optionId: restricted.options[0].id, username: 'guest' }
+  });
+  assert.strictEqual(refused.status, 401);
+
+  const accepted = await request('POST', `/polls/${restricted.id}/vote`, {
+    token,
+    body: { optionId: restricted.options[0].id }
+  });
+  assert.strictEqual(accepted.status, 200);
+});
+
+test('imports validate every poll and report the errors per row', async () => {
+  const { token } = await register('alice');
+
+  const rejected = await request('POST', '/polls/import', {
+    token,
+    body: [
+      { question: 'Lunch?', options: ['Pizza', 'Salad'] },
+      { question: 'Dinner?', options: ['Soup'] },
+      { options: ['Tea', 'Coffee'] }
+    ]
+  });
+  assert.strictEqual(rejected.status, 400);
+  assert.deepStrictEqual(rejected.body.error.fields.map(field => [field.row, field.field]), [[2, 'options'], [3, 'question']]);
+
+  const csv = [
+    'question,options,type,maxSelections',
+    'Lunch?,Pizza|Salad,,',
+    'Toppings?,Ham|Olives|Basil,multiple,2'
+  ].join('\n');
+  const imported = await fetch(`${baseUrl}/polls/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/csv', Authorization: `Bearer ${token}` },
+    body: csv
+  }).then(res => res.json().then(json => ({ status: res.status, body: json })));
+  assert.strictEqual(imported.status, 201);
+  assert.strictEqual(imported.body.imported, 2);
+  assert.deepStrictEqual(imported.body.polls.map(poll => [poll.question, poll.options.length, poll.maxSelections]), [
+    ['Lunch?', 2, 1],
+    ['Toppings?', 3, 2]
+  ]);
+
+  const { body } = await request('GET', '/polls');
+  assert.deepStrictEqual(body.map(poll => poll.question).sort(), ['Lunch?', 'Toppings?']);
+});
+
+test('imports are rolled back when a poll can\'t be stored', async () => {
+  const { token } = await register('alice');
+  await instance.storage.run(`CREATE TRIGGER refuse_poll BEFORE INSERT ON polls WHEN NEW.question = 'Refused?'
+    BEGIN SELECT RAISE(ABORT, 'refused'); END`);
+
+  const { status } = await request('POST', '/polls/import', {
+    token,
+    body: { polls: [
+      { question: 'Lunch?', options: ['Pizza', 'Salad'] },
+      { question: 'Refused?', options: ['Yes', 'No'] }
+    ] }
+  });
+  assert.strictEqual(status, 500);
+
+  const { body } = await request('GET', '/polls');
+  assert.deepStrictEqual(body, []);
+  const options = await instance.storage.all(`SELECT id FROM options`);
+  assert.deepStrictEqual(options, []);
+});
+
+test('registrations are rate limited per client IP', async () => {
+  for (let index = 0; index < 5; index++) {
+    await register(`user${index}`);
+  }
+
+  const res = await fetch(`${baseUrl}/users/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'user5', password: 'correct-horse-battery' })
+  });
+  assert.strictEqual(res.status, 429);
+  assert.ok(Number(res.headers.get('Retry-After')) > 0);
+});
+
+test('repeated failed logins lock the account', async () => {
+  await register('alice');
+  await register('bob');
+  const login = (username, password) => request('POST', '/users/login', { body: { username, password } });
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    assert.strictEqual((await login('alice', 'wrong-password')).status, 401);
+  }
+
+  // Even the right password is refused while the account is locked; other accounts aren't
+  assert.strictEqual((await login('alice', 'correct-horse-battery')).status, 429);
+  assert.strictEqual((await login('bob', 'correct-horse-battery')).status, 200);
+});
+
+test('anonymous votes can be limited to one per IP address', async () => {
+  const { token } = await register('alice');
+  const poll = await createPoll(token, { duplicateCheck: 'ip' });
+  const optionId = poll.options[0].id;
+
+  const first = await request('POST', `/polls/${poll.id}/vote`, { body: { optionId, username: 'guest1' } });
+  assert.strictEqual(first.status, 200);
+  const second = await request('POST', `/polls/${poll.id}/vote`, { body: { optionId, username: 'guest2' } });
+  assert.strictEqual(second.status, 400);
+
+  // Logged-in voters aren't checked
+  const member = await request('POST', `/polls/${poll.id}/vote`, { token, body: { optionId } });
+  assert.strictEqual(member.status, 200);
+});
+
+test('analytics bucket the ballots by when they were cast', async () => {
+  const alice = await register('alice');
+  const bob = await register('bob');
+  const carol = await register('carol');
+  const poll = await createPoll(alice.token);
+  const [pizza, salad] = poll.options.map(opt => opt.id);
+
+  const ballots = [
+    ['alice', alice.token, pizza, '2024-05-01T10:05:00.000Z'],
+    ['bob', bob.token, salad, '2024-05-01T10:40:00.000Z'],
+    ['carol', carol.token, pizza, '2024-05-01T12:15:00.000Z']
+  ];
+  for (const [username, token, optionId, votedAt] of ballots) {
+    await request('POST', `/polls/${poll.id}/vote`, { token, body: { optionId } });
+    await instance.storage.run(`UPDATE votes SET voted_at = ? WHERE poll_id = ? AND username = ?`, [votedAt, poll.id, username]);
+  }
+
+  const hourly = await request('GET', `/polls/${poll.id}/analytics`, { token: alice.token });
+  assert.strictEqual(hourly.status, 200);
+  assert.strictEqual(hourly.body.totalBallots, 3);
+  assert.deepStrictEqual(hourly.body.peak, { start: '2024-05-01T10:00:00.000Z', ballots: 2 });
+  assert.deepStrictEqual(hourly.body.series.map(bucket => [bucket.start, bucket.ballots, bucket.cumulativeBallots]), [
+    ['2024-05-01T10:00:00.000Z', 2, 2],
+    ['2024-05-01T12:00:00.000Z', 1, 3]
+  ]);
+  assert.deepStrictEqual(hourly.body.series[1].options.map(opt => [opt.votes, opt.cumulativeVotes, opt.percentage]), [
+    [1, 2, 66.7],
+    [0, 1, 33.3]
+  ]);
+
+  const daily = await request('GET', `/polls/${poll.id}/analytics?bucket=day`, { token: alice.token });
+  assert.deepStrictEqual(daily.body.series.map(bucket => [bucket.start, bucket.ballots]), [['2024-05-01T00:00:00.000Z', 3]]);
+
+  const invalid = await request('GET', `/polls/${poll.id}/analytics?bucket=week`, { token: alice.token });
+  assert.strictEqual(invalid.status, 400);
+  const voter = await request('GET', `/polls/${poll.id}/analytics`, { token: bob.token });
+  assert.strictEqual(voter.status, 403);
+});
+
+test('refresh tokens rotate and can only be used once', async () => {
+  const { refreshToken } = await register('alice');
+
+  const refreshed = await request('POST', '/users/refresh', { body: { refreshToken } });
+  assert.strictEqual(refreshed.status, 200);
+  assert.ok(refreshed.body.token);
+
+  const replayed = await request('POST', '/users/refresh', { body: { refreshToken } });
+  assert.strictEqual(replayed.status, 401);
+
+  // Replaying a used token revokes the session, including the tokens it rotated to
+  const rotated = await request('POST', '/users/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+  assert.strictEqual(rotated.status, 401);
+});
+
+test('the /me endpoints list a user\'s polls, votes and stats', async () => {
+  const alice = await register('alice');
+  const bob = await register('bob');
+  const lunch = await createPoll(alice.token);
+  const dinner = await createPoll(alice.token, { question: 'Dinner?' });
+  await request('PUT', `/polls/${dinner.id}/toggle-active`, { token: alice.token });
+  const drinks = await createPoll(bob.token, { question: 'Drinks?', options: ['Tea', 'Coffee'] });
+  await createPoll(bob.token, { question: 'Dessert?' });
+
+  await request('POST', `/polls/${lunch.id}/vote`, { token: bob.token, body: { optionId: lunch.options[1].id } });
+  await request('POST', `/polls/${drinks.id}/vote`, { token: alice.token, body: { optionId: drinks.options[0].id } });
+
+  const anonymous = await request('GET', '/users/me/polls');
+  assert.strictEqual(anonymous.status, 401);
+
+  const polls = await request('GET', '/users/me/polls', { token: alice.token });
+  assert.deepStrictEqual(
+    polls.body.map(poll => [poll.question, poll.status, poll.totalVoters]).sort(),
+    [['Dinner?', 'paused', 0], ['Lunch?', 'active', 1]]
+  );
+
+  const votes = await request('GET', '/users/me/votes', { token: alice.token });
+  assert.deepStrictEqual(votes.body.map(entry => [entry.pollId, entry.choices.map(choice => choice.text)]), [
+    [drinks.id, ['Tea']]
+  ]);
+
+  const stats = await request('GET', '/users/me/stats', { token: alice.token });
+  assert.deepStrictEqual(stats.body, { pollsCreated: 2, votesReceived: 1, pollsVotedIn: 1, participationRate: 50 });
+});
+
+test('private polls are only visible to invited users', async () => {
+  const { token } = await register('alice');
+  const bob = await register('bob');
+  const poll = await createPoll(token, { visibility: 'private' });
+
+  assert.strictEqual((await request('GET', `/polls/${poll.id}`, { token: bob.token })).status, 404);
+
+  const invited = await request('POST', `/polls/${poll.id}/invites`, { token, body: { usernames: ['bob'] } });
+  assert.strictEqual(invited.status, 201);
+  assert.strictEqual((await request('GET', `/polls/${poll.id}`, { token: bob.token })).status, 200);
+
+  const invites = await request('GET', `/polls/${poll.id}/invites`, { token });
+  assert.deepStrictEqual(invites.body.map(invite => invite.username), ['bob']);
+
+  assert.strictEqual((await request('DELETE', `/polls/${poll.id}/invites/bob`, { token })).status, 200);
+  assert.strictEqual((await request('DELETE', `/polls/${poll.id}/invites/bob`, { token })).status, 404);
+});
+
+test('webhooks cannot point to local or private addresses', async () => {
+  const { token } = await register('alice');
+
+  for (const url of ['http://127.0.0.1/', 'http://localhost:8080/', 'http://169.254.169.254/latest', 'http://[::1]/', 'http://10.0.0.1/']) {
+    const { status, body } = await request('POST', '/webhooks', { token, body: { url } });
+    assert.strictEqual(status, 400, url);
+    assert.strictEqual(body.error.fields[0].field, 'url');
+  }
+
+  const created = await request('POST', '/webhooks', { token, body: { url: 'http://93.184.216.34/hook' } });
+  assert.strictEqual(created.status, 201);
+
+  const updated = await request('PATCH', `/webhooks/${created.body.id}`, { token, body: { url: 'http://192.168.1.1/' } });
+  assert.strictEqual(updated.status, 400);
+
+  const listed = await request('GET', '/webhooks', { token });
+  assert.deepStrictEqual(listed.body.map(webhook => webhook.url), ['http://93.184.216.34/hook']);
+});
+
+test('audit bundles are checked against the seal recorded when the poll closed', async () => {
+  const crypto = require('crypto');
+  const { token } = await register('alice');
+  const poll = await createPoll(token);
+  await request('POST', `/polls/${poll.id}/vote`, { token, body: { optionId: poll.options[0].id } });
+
+  const open = await request('GET', `/polls/${poll.id}/audit-bundle`, { token });
+  assert.strictEqual(open.body.seal, null);
+  assert.strictEqual(open.body.hashChain.matchesSeal, null);
+
+  assert.strictEqual((await request('PUT', `/polls/${poll.id}/toggle-active`, { token })).status, 200);
+
+  // The seal is written just after the poll closes
+  let bundle;
+  for (let attempt = 0; attempt < 20 && !(bundle && bundle.seal); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    bundle = (await request('GET', `/polls/${poll.id}/audit-bundle`, { token })).body;
+  }
+  assert.strictEqual(bundle.seal.head, bundle.hashChain.head);
+  assert.strictEqual(bundle.hashChain.matchesSeal, true);
+
+  const { signature, ...seal } = bundle.seal;
+  assert.ok(crypto.verify(null, Buffer.from(JSON.stringify(seal)), signature.publicKey, Buffer.from(signature.value, 'base64')));
+
+  await instance.storage.run(`UPDATE votes SET option_id = ? WHERE poll_id = ?`, [poll.options[1].id, poll.id]);
+  const tampered = (await request('GET', `/polls/${poll.id}/audit-bundle`, { token })).body;
+  assert.strictEqual(tampered.hashChain.matchesSeal, false);
+  assert.strictEqual(tampered.seal.head, bundle.seal.head);
+});
+
+test('CSV exports keep spreadsheet formulas from running', async () => {
+  const { token } = await register('alice');
+  const poll = await createPoll(token, { options: ['=HYPERLINK("http://example.com")', '-1', 'Salad'] });
+
+  const res = await fetch(`${baseUrl}/polls/${poll.id}/export/tallies?format=csv`);
+  const lines = (await res.text()).trim().split('\n');
+  assert.ok(lines[1].includes(`"'=HYPERLINK(""http://example.com"")"`), lines[1]);
+  assert.ok(lines[2].includes(`'-1`), lines[2]);
+  assert.ok(!lines[3].includes(`'`), lines[3]);
+});
+
+test('a poll reopened after its seal is sealed again when it closes', async () => {
+  const { token } = await register('alice');
+  const bob = await register('bob');
+  const poll = await createPoll(token);
+  await request('POST', `/polls/${poll.id}/vote`, { token, body: { optionId: poll.options[0].id } });
+
+  const latestSeal = async (voteCount) => {
+    let bundle;
+    for (let attempt = 0; attempt < 20 && !(bundle && bundle.seal && bundle.seal.voteCount === voteCount); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      bundle = (await request('GET', `/polls/${poll.id}/audit-bundle`, { token })).body;
+    }
+    return bundle;
+  };
+
+  await request('PUT', `/polls/${poll.id}/toggle-active`, { token });
+  assert.strictEqual((await latestSeal(1)).hashChain.matchesSeal, true);
+
+  // Resumed and voted in: not tampering, just open again
+  await request('PUT', `/polls/${poll.id}/toggle-active`, { token });
+  await request('POST', `/polls/${poll.id}/vote`, { token: bob.token, body: { optionId: poll.options[1].id } });
+  const reopened = (await request('GET', `/polls/${poll.id}/audit-bundle`, { token })).body;
+  assert.strictEqual(reopened.seal.voteCount, 1);
+  assert.strictEqual(reopened.hashChain.matchesSeal, null);
+
+  await request('PUT', `/polls/${poll.id}/toggle-active`, { token });
+  const resealed = await latestSeal(2);
+  assert.strictEqual(resealed.seal.head, resealed.hashChain.head);
+  assert.strictEqual(resealed.hashChain.matchesSeal, true);
+});
+
+test('moving a poll\'s end time into the past closes it', async () => {
+  const { token } = await register('alice');
+  const poll = await createPoll(token, { resultsVisibility: 'afterClose' });
+  await request('POST', `/polls/${poll.id}/vote`, { token, body: { optionId: poll.options[0].id } });
+
+  const activeUntil = new Date(Date.now() - 1000).toISOString();
+  const retimed = await request('PUT', `/polls/${poll.id}/timing`, { token, body: { activeUntil } });
+  assert.strictEqual(retimed.status, 200);
+
+  let bundle;
+  for (let attempt = 0; attempt < 20 && !(bundle && bundle.seal); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    bundle = (await request('GET', `/polls/${poll.id}/audit-bundle`, { token })).body;
+  }
+  assert.strictEqual(bundle.seal.closedAt, activeUntil);
+  assert.strictEqual((await instance.storage.polls.findById(poll.id)).closed_at, activeUntil);
+
+  // The final results are public now
+  const results = await request('GET', `/polls/${poll.id}/results`);
+  assert.strictEqual(results.status, 200);
+});
+
+test('polls that ended while the server was down are closed when it starts', async (t) => {
+  const filename = path.join(os.tmpdir(), `polls-test-${process.pid}-${Date.now()}.db`);
+  t.after(() => fs.rmSync(filename, { force: true }));
+
+  await stopInstance();
+  await startInstance(createStorage({ filename }));
+  const { token } = await register('alice');
+  const poll = await createPoll(token, { activeUntil: new Date(Date.now() + 60000).toISOString() });
+  await request('POST', `/polls/${poll.id}/vote`, { token, body: { optionId: poll.options[0].id } });
+
+  // The end time passes while the server is down
+  const endedAt = new Date(Date.now() - 1000).toISOString();
+  await instance.storage.run(`UPDATE polls SET active_until = ? WHERE id = ?`, [endedAt, poll.id]);
+  await stopInstance();
+  await startInstance(createStorage({ filename }));
+
+  let bundle;
+  for (let attempt = 0; attempt < 20 && !(bundle && bundle.seal); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    bundle = (await request('GET', `/polls/${poll.id}/audit-bundle`, { token })).body;
+  }
+  assert.strictEqual(bundle.seal.closedAt, endedAt);
+  assert.strictEqual(bundle.seal.voteCount, 1);
+  assert.strictEqual((await instance.storage.polls.findById(poll.id)).closed_at, endedAt);
+});
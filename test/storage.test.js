@@ -0,0 +1,162 @@
+// Tests of the storage repositories against an in-memory database
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createStorage } = require('../storage');
+
+let storage;
+
+beforeEach(async () => {
+  storage = createStorage({ memory: true });
+  await storage.migrate();
+});
+
+afterEach(() => storage.close());
+
+const now = () => new Date().toISOString();
+
+const addUser = (username) => storage.users.create({ username, password: 'hash', createdAt: now(), role: 'user' });
+
+const addPoll = (id, createdBy = 'alice') => storage.polls.create([{
+  poll: {
+    id,
+    question: 'Lunch?',
+    created_by: createdBy,
+    created_at: now(),
+    start_at: null,
+    active_until: null,
+    is_active: 1,
+    type: 'single',
+    min_selections: 1,
+    max_selections: 1,
+    allow_vote_change: 1,
+    require_auth: 0,
+    visibility: 'public',
+    secret_ballot: 0,
+    results_visibility: 'always',
+    duplicate_check: 'none'
+  },
+  options: [{ id: `${id}-1`, text: 'Pizza' }, { id: `${id}-2`, text: 'Salad' }],
+  invites: []
+}]).then(() => storage.polls.findById(id));
+
+test('a voter has one ballot per poll', async () => {
+  const poll = await addPoll('poll-1');
+
+  assert.deepStrictEqual(await storage.votes.write(poll, 'bob', ['poll-1-1'], 'cast'), []);
+  await assert.rejects(storage.votes.write(poll, 'bob', ['poll-1-2'], 'cast'), { code: 'SQLITE_CONSTRAINT' });
+  assert.deepStrictEqual(await storage.votes.findBallot('poll-1', 'bob'), ['poll-1-1']);
+
+  assert.deepStrictEqual(await storage.votes.write(poll, 'bob', ['poll-1-2'], 'change'), ['poll-1-1']);
+  assert.deepStrictEqual(await storage.votes.write(poll, 'bob', [], 'retract'), ['poll-1-2']);
+  await assert.rejects(storage.votes.write(poll, 'bob', ['poll-1-1'], 'change'), { code: 'ENOBALLOT' });
+  await storage.votes.write(poll, 'bob', ['poll-1-1'], 'cast');
+
+  const history = await storage.votes.history('poll-1');
+  assert.deepStrictEqual(history.map(row => row.action), ['cast', 'change', 'retract', 'cast']);
+});
+
+test('concurrent transactions run one at a time', async () => {
+  const poll = await addPoll('poll-1');
+
+  const results = await Promise.allSettled(['bob', 'carol', 'dave', 'bob'].map(username => (
+    storage.votes.write(poll, username, ['poll-1-1'], 'cast')
+  )));
+  assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'fulfilled', 'rejected']);
+  assert.deepStrictEqual((await storage.votes.votersAmong('poll-1', ['bob', 'dave', 'erin'])).sort(), ['bob', 'dave']);
+});
+
+test('reads wait for an open transaction instead of seeing its changes', async () => {
+  let inserted;
+  const failed = storage.transaction(({ execute }) => execute(
+    `INSERT INTO users (username, password, created_at, role) VALUES ('alice', 'hash', ?, 'user')`,
+    [now()]
+  ).then(() => {
+    inserted = storage.users.findByUsername('alice');
+    return new Promise(resolve => setTimeout(resolve, 20));
+  }).then(() => {
+    throw new Error('rolled back');
+  }));
+
+  await assert.rejects(failed, /rolled back/);
+  assert.strictEqual(await inserted, undefined);
+});
+
+test('sessions and refresh tokens', async () => {
+  const userId = await addUser('alice');
+  await storage.sessions.create('session-1', userId, now());
+  await storage.refreshTokens.create({ sessionId: 'session-1', tokenHash: 'hash-1', createdAt: now(), expiresAt: now() });
+
+  const stored = await storage.refreshTokens.findByHash('hash-1');
+  assert.strictEqual(stored.username, 'alice');
+  assert.strictEqual(stored.revoked_at, null);
+
+  assert.strictEqual(await storage.refreshTokens.markUsed(stored.id, now()), true);
+  assert.strictEqual(await storage.refreshTokens.markUsed(stored.id, now()), false);
+
+  await storage.sessions.revokeAll(userId, now());
+  assert.ok((await storage.sessions.findById('session-1')).revoked_at);
+});
+
+test('invites', async () => {
+  await addPoll('poll-1');
+  await storage.invites.add('poll-1', ['bob', 'carol'], now());
+  await storage.invites.add('poll-1', ['bob'], now());
+
+  assert.deepStrictEqual((await storage.invites.list('poll-1')).map(invite => invite.username), ['bob', 'carol']);
+  assert.strictEqual(await storage.invites.exists('poll-1', 'bob'), true);
+  assert.strictEqual(await storage.invites.remove('poll-1', 'bob'), true);
+  assert.strictEqual(await storage.invites.remove('poll-1', 'bob'), false);
+  assert.strictEqual(await storage.invites.exists('poll-1', 'bob'), false);
+});
+
+test('audit log filters', async () => {
+  await storage.auditLog.record({ actor: 'alice', action: 'user.role', targetType: 'user', targetId: 2, createdAt: now() });
+  await storage.auditLog.record({ actor: 'bob', action: 'poll.delete', targetType: 'poll', targetId: 'poll-1', details: { force: true }, createdAt: now() });
+
+  assert.deepStrictEqual((await storage.auditLog.list({ limit: 10 })).map(row => row.actor), ['bob', 'alice']);
+  assert.deepStrictEqual((await storage.auditLog.list({ actor: 'alice', limit: 10 })).map(row => row.target_id), ['2']);
+  assert.deepStrictEqual((await storage.auditLog.list({ targetId: 'poll-1', limit: 10 })).map(row => row.details), ['{"force":true}']);
+});
+
+test('webhooks and their deliveries', async () => {
+  await addUser('alice');
+  const id = await storage.webhooks.create({
+    username: 'alice',
+    url: 'https://example.com/hook',
+    secret: 'secret',
+    events: JSON.stringify(['pollCreated']),
+    allPolls: false,
+    createdAt: now()
+  });
+
+  assert.deepStrictEqual((await storage.webhooks.listForPoll('alice', ['admin'])).map(webhook => webhook.id), [id]);
+  assert.deepStrictEqual(await storage.webhooks.listForPoll('bob', ['admin']), []);
+
+  await storage.webhooks.createDelivery({ id: 'delivery-1', webhookId: id, event: 'pollCreated', payload: '{}', createdAt: now() });
+  assert.strictEqual((await storage.webhooks.findDeliveryTarget('delivery-1')).url, 'https://example.com/hook');
+  assert.deepStrictEqual((await storage.webhooks.listPendingDeliveries()).map(delivery => delivery.id), ['delivery-1']);
+
+  await storage.webhooks.updateDelivery('delivery-1', {
+    status: 'delivered', attempts: 1, statusCode: 200, error: null, nextAttemptAt: null, lastAttemptAt: now()
+  });
+  assert.deepStrictEqual(await storage.webhooks.listDeliveries(id, { status: 'pending', limit: 10 }), []);
+  assert.strictEqual((await storage.webhooks.listDeliveries(id, { limit: 10 })).length, 1);
+
+  await storage.webhooks.remove(id);
+  assert.strictEqual(await storage.webhooks.find(id, 'alice'), undefined);
+  assert.strictEqual(await storage.webhooks.findDelivery('delivery-1'), undefined);
+});
+
+test('template names are unique per user', async () => {
+  const template = { name: 'Lunch', question: 'Lunch?', options: '["Pizza","Salad"]', durationMinutes: 60, settings: '{}', createdAt: now() };
+  const id = await storage.templates.create({ ...template, username: 'alice' });
+  await storage.templates.create({ ...template, username: 'bob' });
+  await assert.rejects(storage.templates.create({ ...template, username: 'alice' }), { code: 'SQLITE_CONSTRAINT' });
+
+  await storage.templates.update(id, { ...template, name: 'Dinner', updatedAt: now() });
+  assert.deepStrictEqual((await storage.templates.list('alice')).map(row => row.name), ['Dinner']);
+  assert.strictEqual(await storage.templates.find(id, 'bob'), undefined);
+
+  await storage.templates.remove(id);
+  assert.deepStrictEqual(await storage.templates.list('alice'), []);
+});
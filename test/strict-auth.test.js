@@ -0,0 +1,89 @@
+// Tests of the strict authentication mode. AUTH_MODE is read when index.js is loaded, so
+// these run in their own file (node --test gives every file its own process).
+process.env.AUTH_MODE = 'strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createApp, createStorage } = require('../index');
+
+let instance;
+let baseUrl;
+
+beforeEach(() => new Promise((resolve, reject) => {
+  instance = createApp({ storage: createStorage({ memory: true }) });
+  instance.start(0, (err) => {
+    if (err) {
+      return reject(err);
+    }
+    baseUrl = `http://localhost:${instance.server.address().port}`;
+    resolve();
+  });
+}));
+
+afterEach(() => new Promise((resolve, reject) => {
+  instance.close(err => (err ? reject(err) : resolve()));
+}));
+
+// Send a JSON request; resolves with { status, body }
+const request = (method, path, { body, token } = {}) => fetch(`${baseUrl}/api${path}`, {
+  method,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {})
+  },
+  body: body === undefined ? undefined : JSON.stringify(body)
+}).then(res => res.json().then(json => ({ status: res.status, body: json })));
+
+const register = (username) => request('POST', '/users/register', {
+  body: { username, password: 'correct-horse-battery' }
+}).then(({ status, body }) => {
+  assert.strictEqual(status, 201);
+  return body;
+});
+
+test('invalid tokens are rejected instead of ignored', async () => {
+  const { status } = await request('GET', '/polls', { token: 'not-a-token' });
+  assert.strictEqual(status, 401);
+});
+
+test('identity can\'t be supplied in the request body', async () => {
+  const { token } = await register('alice');
+
+  const anonymous = await request('POST', '/polls', {
+    body: { question: 'Lunch?', options: ['Pizza', 'Salad'] }
+  });
+  assert.strictEqual(anonymous.status, 401);
+
+  const impersonating = await request('POST', '/polls', {
+    token,
+    body: { question: 'Lunch?', options: ['Pizza', 'Salad'], createdBy: 'bob' }
+  });
+  assert.strictEqual(impersonating.status, 400);
+
+  const poll = await request('POST', '/polls', {
+    token,
+    body: { question: 'Lunch?', options: ['Pizza', 'Salad'] }
+  });
+  assert.strictEqual(poll.status, 201);
+  assert.strictEqual(poll.body.requireAuth, true);
+
+  const optionId = poll.body.options[0].id;
+  const guest = await request('POST', `/polls/${poll.body.id}/vote`, { body: { optionId, username: 'guest' } });
+  assert.strictEqual(guest.status, 400);
+  const unnamed = await request('POST', `/polls/${poll.body.id}/vote`, { body: { optionId } });
+  assert.strictEqual(unnamed.status, 401);
+  const voter = await request('POST', `/polls/${poll.body.id}/vote`, { token, body: { optionId } });
+  assert.strictEqual(voter.status, 200);
+});
+
+test('socket connections without a token are refused', async () => {
+  // Speak the Engine.IO polling transport directly: open a session, then ask to connect
+  // to the default namespace and read the answer
+  const url = `${baseUrl}/socket.io/?EIO=4&transport=polling`;
+  const handshake = await fetch(url).then(res => res.text());
+  const { sid } = JSON.parse(handshake.slice(1));
+
+  await fetch(`${url}&sid=${sid}`, { method: 'POST', body: '40' });
+  const answer = await fetch(`${url}&sid=${sid}`).then(res => res.text());
+  assert.strictEqual(answer, '44{"message":"Authentication required"}');
+});
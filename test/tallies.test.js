@@ -0,0 +1,71 @@
+// Tests of the instant-runoff count
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { tallyRankedChoice } = require('../tallies');
+
+const options = (...ids) => ids.map(id => ({ id, text: id }));
+
+// Each round's counts as { id: votes }
+const counts = (result) => result.rounds.map(round => (
+  Object.fromEntries(round.tallies.map(t => [t.id, t.votes]))
+));
+
+test('a majority of first preferences wins in the first round', () => {
+  const result = tallyRankedChoice(options('A', 'B'), [['A', 'B'], ['A'], ['B', 'A']]);
+
+  assert.deepStrictEqual(result.winner, { id: 'A', text: 'A', votes: 2 });
+  assert.deepStrictEqual(result.tied, []);
+  assert.strictEqual(result.rounds.length, 1);
+  assert.strictEqual(result.totalBallots, 3);
+});
+
+test('eliminated options transfer their ballots to the next preference', () => {
+  const result = tallyRankedChoice(options('A', 'B', 'C'), [['A'], ['A'], ['B', 'A'], ['C'], ['C']]);
+
+  assert.deepStrictEqual(counts(result), [{ A: 2, B: 1, C: 2 }, { A: 3, C: 2 }]);
+  assert.deepStrictEqual(result.rounds.map(round => round.eliminated), [['B'], []]);
+  assert.strictEqual(result.winner.id, 'A');
+});
+
+test('ballots without a remaining preference are exhausted and the majority is of the rest', () => {
+  const result = tallyRankedChoice(options('A', 'B', 'C'), [['A'], ['A'], ['C'], ['C'], ['B']]);
+
+  assert.deepStrictEqual(result.rounds.map(round => round.exhausted), [0, 1]);
+  assert.strictEqual(result.winner, null);
+  assert.deepStrictEqual(result.tied, ['A', 'C']);
+});
+
+test('one option is eliminated per round, the one listed last among the lowest', () => {
+  // Eliminating B and C together would hand A the win; eliminating C alone moves its
+  // ballot to B
+  const result = tallyRankedChoice(options('A', 'B', 'C'), [['A'], ['A'], ['B'], ['C', 'B']]);
+
+  assert.deepStrictEqual(result.rounds.map(round => round.eliminated), [['C'], []]);
+  assert.deepStrictEqual(counts(result)[1], { A: 2, B: 2 });
+  assert.strictEqual(result.winner, null);
+  assert.deepStrictEqual(result.tied, ['A', 'B']);
+});
+
+test('ties for the fewest votes are broken by the earlier rounds first', () => {
+  const ballots = [
+    ...Array(4).fill(['A']),
+    ['B'], ['B'],
+    ...Array(3).fill(['C']),
+    ['D', 'B']
+  ];
+  const result = tallyRankedChoice(options('A', 'B', 'C', 'D'), ballots);
+
+  // B and C both have 3 votes in round 2, but B had fewer in round 1
+  assert.deepStrictEqual(counts(result)[1], { A: 4, B: 3, C: 3 });
+  assert.deepStrictEqual(result.rounds.map(round => round.eliminated), [['D'], ['B'], []]);
+  assert.strictEqual(result.rounds[2].exhausted, 3);
+  assert.strictEqual(result.winner.id, 'A');
+});
+
+test('no ballots give no winner', () => {
+  const result = tallyRankedChoice(options('A', 'B'), []);
+
+  assert.strictEqual(result.winner, null);
+  assert.deepStrictEqual(result.tied, []);
+  assert.strictEqual(result.rounds.length, 1);
+});
@@ -0,0 +1,237 @@
+// Request validation
+// Schemas are functions (value, path, errors) => normalised value. They push a
+// { field, message } entry to `errors` for every problem they find (field is the dotted
+// path of the value, e.g. "options[2]"). Build them with the helpers below and check a
+// request with the validate() middleware:
+//
+//   app.post('/api/things/:id', validate({
+//     params: object({ id: integer({ min: 1, coerce: true }) }),
+//     body: object({ name: string({ max: 100 }), note: optional(string()) })
+//   }), handler);
+//
+// Validated values replace the raw ones on req.params, req.query and req.body (other
+// keys are kept), so handlers read trimmed strings, numbers, booleans and UTC ISO timestamps.
+
+// Record a problem with the value at `path`
+const fail = (errors, path, message) => {
+  errors.push({ field: path || null, message });
+  return undefined;
+};
+
+const join = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+// A value that may be missing (undefined), in which case it's `defaultValue`
+const optional = (schema, defaultValue) => (value, path, errors) => (
+  value === undefined ? defaultValue : schema(value, path, errors)
+);
+
+// A value that may be null
+const nullable = (schema) => (value, path, errors) => (value === null ? null : schema(value, path, errors));
+
+// A string, trimmed unless `trim` is false, of `min` to `max` characters, optionally
+// matching `pattern` (described by `patternMessage`)
+const string = ({ min = 1, max = Infinity, trim = true, pattern, patternMessage } = {}) => (value, path, errors) => {
+  if (value === undefined) {
+    return fail(errors, path, 'is required');
+  }
+  if (typeof value !== 'string') {
+    return fail(errors, path, 'must be a string');
+  }
+
+  const text = trim ? value.trim() : value;
+  if (text.length < min) {
+    return fail(errors, path, min === 1 ? 'must not be empty' : `must be at least ${min} characters long`);
+  }
+  if (text.length > max) {
+    return fail(errors, path, `must be at most ${max} characters long`);
+  }
+  if (pattern && !pattern.test(text)) {
+    return fail(errors, path, patternMessage || 'has an invalid format');
+  }
+  return text;
+};
+
+// One of a list of strings
+const oneOf = (values) => (value, path, errors) => {
+  if (value === undefined) {
+    return fail(errors, path, 'is required');
+  }
+  if (!values.includes(value)) {
+    return fail(errors, path, `must be one of: ${values.join(', ')}`);
+  }
+  return value;
+};
+
+// A whole number between `min` and `max`. With `coerce` (query strings) numeric strings are accepted.
+const integer = ({ min = -Infinity, max = Infinity, coerce = false } = {}) => (value, path, errors) => {
+  if (value === undefined) {
+    return fail(errors, path, 'is required');
+  }
+
+  const number = coerce && typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+  if (!Number.isInteger(number)) {
+    return fail(errors, path, 'must be a whole number');
+  }
+  if (number < min || number > max) {
+    return fail(errors, path, max === Infinity ? `must be at least ${min}` : `must be between ${min} and ${max}`);
+  }
+  return number;
+};
+
+// true or false. With `coerce` (query strings) "true" and "false" are accepted.
+const boolean = ({ coerce = false } = {}) => (value, path, errors) => {
+  if (coerce && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  if (typeof value !== 'boolean') {
+    return fail(errors, path, 'must be true or false');
+  }
+  return value;
+};
+
+// An ISO 8601 date ("2030-01-31", taken as UTC midnight) or date and time with a time zone
+// ("2030-01-31T18:00:00+02:00"), normalised to a UTC ISO timestamp ("2030-01-31T16:00:00.000Z")
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,9})?)?(Z|[+-]\d{2}:?\d{2}))?$/i;
+
+const timestamp = () => (value, path, errors) => {
+  if (value === undefined) {
+    return fail(errors, path, 'is required');
+  }
+
+  const date = typeof value === 'string' && ISO_TIMESTAMP.test(value.trim()) ? new Date(value.trim()) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return fail(errors, path, 'must be an ISO 8601 timestamp with a time zone, e.g. 2030-01-31T18:00:00Z');
+  }
+  return date.toISOString();
+};
+
+// An absolute http(s) URL
+const httpUrl = ({ max = 2000 } = {}) => (value, path, errors) => {
+  const text = string({ max })(value, path, errors);
+  if (text === undefined) {
+    return undefined;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(text);
+  } catch (err) {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    return fail(errors, path, 'must be an http or https URL');
+  }
+  return text;
+};
+
+// An array of `min` to `max` items matching `item`. With `unique`, items must differ
+// (compared by `unique(item)` when it is a function).
+const array = (item, { min = 0, max = Infinity, unique = false } = {}) => (value, path, errors) => {
+  if (value === undefined) {
+    return fail(errors, path, 'is required');
+  }
+  if (!Array.isArray(value)) {
+    return fail(errors, path, 'must be an array');
+  }
+  if (value.length < min) {
+    return fail(errors, path, min === 1 ? 'must not be empty' : `must have at least ${min} items`);
+  }
+  if (value.length > max) {
+    return fail(errors, path, `must have at most ${max} items`);
+  }
+
+  const before = errors.length;
+  const items = value.map((entry, index) => item(entry, join(path, index), errors));
+  if (errors.length > before) {
+    return undefined;
+  }
+
+  if (unique) {
+    const keyOf = typeof unique === 'function' ? unique : (entry) => entry;
+    const seen = new Set();
+    for (let index = 0; index < items.length; index++) {
+      const key = keyOf(items[index]);
+      if (seen.has(key)) {
+        return fail(errors, join(path, index), 'is a duplicate');
+      }
+      seen.add(key);
+    }
+  }
+  return items;
+};
+
+// An object with the given properties. Unknown properties are left out of the result.
+// `check(value, fail)` runs once every property is valid, for rules that involve several
+// of them; it reports problems with fail(field, message).
+const object = (shape, { check } = {}) => (value, path, errors) => {
+  if (value === undefined) {
+    return fail(errors, path, 'is required');
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return fail(errors, path, 'must be an object');
+  }
+
+  const before = errors.length;
+  const result = {};
+  Object.keys(shape).forEach(key => {
+    const property = shape[key](value[key], join(path, key), errors);
+    if (property !== undefined) {
+      result[key] = property;
+    }
+  });
+
+  if (errors.length === before && check) {
+    check(result, (field, message) => fail(errors, join(path, field), message));
+  }
+  return errors.length > before ? undefined : result;
+};
+
+// Check a value against a schema. Returns { value } or { errors }.
+const check = (schema, value, path = '') => {
+  const errors = [];
+  const result = schema(value, path, errors);
+  return errors.length > 0 ? { errors } : { value: result };
+};
+
+// The body of a 400 response for failed validation (see the error format in index.js)
+const validationError = (fields) => ({ error: 'Request validation failed', code: 'validation_failed', fields });
+
+// Middleware: validate req.params, req.query and req.body against the given schemas.
+// Requests that don't match are answered with a 400 validation error listing every problem.
+const validate = (schemas) => (req, res, next) => {
+  const fields = [];
+
+  ['params', 'query', 'body'].forEach(part => {
+    if (!schemas[part]) {
+      return;
+    }
+
+    const { value, errors } = check(schemas[part], req[part] === undefined ? {} : req[part]);
+    if (errors) {
+      fields.push(...errors.map(error => (part === 'body' ? error : { ...error, in: part })));
+    } else {
+      req[part] = { ...req[part], ...value };
+    }
+  });
+
+  if (fields.length > 0) {
+    return res.status(400).json(validationError(fields));
+  }
+  next();
+};
+
+module.exports = {
+  optional,
+  nullable,
+  string,
+  oneOf,
+  integer,
+  boolean,
+  timestamp,
+  httpUrl,
+  array,
+  object,
+  check,
+  validationError,
+  validate
+};